@@ -0,0 +1,186 @@
+import { DataService } from './dataService.js';
+
+/**
+ * AlertService - Watch rules on processing times, kept in localStorage and checked
+ * when IRCC publishes a newer lastupdated
+ * Has no DOM access; the app shows fired alerts as browser notifications and in the alerts tab
+ */
+export class AlertService {
+    constructor(dataService = new DataService()) {
+        this.dataService = dataService;
+        this.durationService = dataService.durationService;
+        this.storageKey = 'ircc-alerts';
+        this.conditions = ['below', 'above', 'change'];
+        // Fired alerts kept in the in-app list, newest first
+        this.maxFired = 50;
+        this.state = this.load();
+    }
+
+    /**
+     * Read the rules, fired alerts and last seen update dates from storage
+     */
+    load() {
+        const empty = { rules: [], fired: [], seen: {} };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && Array.isArray(saved.rules)) {
+                return {
+                    rules: saved.rules,
+                    fired: Array.isArray(saved.fired) ? saved.fired : [],
+                    seen: saved.seen && typeof saved.seen === 'object' ? saved.seen : {}
+                };
+            }
+        } catch (error) {
+            // Storage can be blocked, e.g. in private windows, or hold an older format
+        }
+        return empty;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Could not save alert rules:', error);
+        }
+    }
+
+    getRules() {
+        return this.state.rules;
+    }
+
+    getFired() {
+        return this.state.fired;
+    }
+
+    /**
+     * Add a watch rule and remember the current value as its baseline
+     *
+     * kind is 'category' (with country) or 'service'; condition is 'below' or
+     * 'above' a threshold in days, or 'change' for any change.
+     */
+    addRule({ kind, key, country = null, condition, threshold = null }) {
+        if (!['category', 'service'].includes(kind) || !key) {
+            throw new Error('An alert needs an application type');
+        }
+        if (kind === 'category' && !country) {
+            throw new Error('An alert on a country category needs a country');
+        }
+        if (!this.conditions.includes(condition)) {
+            throw new Error(`Unknown alert condition "${condition}"`);
+        }
+        if (condition !== 'change' && !(threshold > 0)) {
+            throw new Error('An alert threshold must be a positive number of days');
+        }
+
+        const rule = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            kind,
+            key,
+            country: kind === 'category' ? country : null,
+            // Kept so the service can still be labelled after IRCC drops it
+            serviceCategory: kind === 'service' ? this.getServiceCategory(key) : null,
+            condition,
+            threshold: condition === 'change' ? null : threshold,
+            value: null,
+            created: new Date().toISOString()
+        };
+        rule.value = this.getValue(rule);
+
+        this.state.rules.push(rule);
+        this.save();
+        return rule;
+    }
+
+    removeRule(id) {
+        this.state.rules = this.state.rules.filter(rule => rule.id !== id);
+        this.save();
+    }
+
+    clearFired() {
+        this.state.fired = [];
+        this.save();
+    }
+
+    /**
+     * Check the rules against the loaded data when its lastupdated is newer than the last check
+     *
+     * Processing times and in-Canada services are published with their own
+     * lastupdated, so each is tracked separately. The first check only records the
+     * dates. Returns the alerts that fired, which are also added to the fired list.
+     */
+    check() {
+        const sources = [
+            ['processing-times', 'category', this.dataService.getLastUpdated()],
+            ['in-canada-services', 'service', this.dataService.extractLastUpdated(this.dataService.inCanadaData)]
+        ];
+        const fired = [];
+
+        sources.forEach(([type, kind, lastupdated]) => {
+            const date = this.dataService.parseLastUpdated(lastupdated);
+            if (!date) return;
+
+            const seen = this.state.seen[type];
+            this.state.seen[type] = date.getTime();
+            if (seen === undefined || date.getTime() <= seen) return;
+
+            this.state.rules
+                .filter(rule => rule.kind === kind)
+                .forEach(rule => {
+                    const before = rule.value;
+                    const after = this.getValue(rule);
+                    rule.value = after;
+
+                    if (this.matches(rule, before, after)) {
+                        const { id, key, country, serviceCategory, condition, threshold } = rule;
+                        fired.push({
+                            rule: { id, kind, key, country, serviceCategory, condition, threshold },
+                            before,
+                            after,
+                            lastupdated,
+                            fired: new Date().toISOString()
+                        });
+                    }
+                });
+        });
+
+        this.state.fired = [...fired, ...this.state.fired].slice(0, this.maxFired);
+        this.save();
+        return fired;
+    }
+
+    /**
+     * Current raw value a rule watches, or null when it is not published
+     */
+    getValue(rule) {
+        if (rule.kind === 'service') {
+            return this.dataService.getServiceValue(rule.key);
+        }
+        const values = this.dataService.getSeriesData()[rule.key] || {};
+        return values[rule.country] ?? null;
+    }
+
+    getServiceCategory(serviceKey) {
+        const match = this.dataService.getInCanadaServices().find(entry => entry.service === serviceKey);
+        return match ? match.category : null;
+    }
+
+    /**
+     * Whether a rule fires for a value going from before to after
+     *
+     * Thresholds fire when the time crosses them, so a time that stays below the
+     * threshold does not fire again every week. Values are compared as parsed
+     * durations, so the same time in English and French is not a change.
+     */
+    matches(rule, before, after) {
+        const previous = this.durationService.parse(before);
+        const current = this.durationService.parse(after);
+
+        if (rule.condition === 'change') {
+            return previous.status !== current.status || previous.days !== current.days;
+        }
+        if (current.days === null) return false;
+
+        const isPast = days => (rule.condition === 'below' ? days < rule.threshold : days > rule.threshold);
+        return isPast(current.days) && !(previous.days !== null && isPast(previous.days));
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * AnomalyService - Flags abnormal jumps in weekly processing time series
+ * Uses a trailing rolling median with the median absolute deviation (MAD)
+ */
+export class AnomalyService {
+    constructor(options = {}) {
+        this.window = options.window || 8;
+        this.minHistory = options.minHistory || 4;
+        this.threshold = options.threshold || 3.5;
+        // Floor on the spread so flat series do not flag every one-day wiggle
+        this.minRelativeSpread = options.minRelativeSpread || 0.1;
+        this.minAbsoluteSpread = options.minAbsoluteSpread || 2;
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    /**
+     * Score every point against the points before it
+     *
+     * points is an array of { y } (normalized days), oldest first. Returns one
+     * result per point: { anomaly, score, median, deviation } where score is the
+     * robust z-score of the point against its trailing window.
+     */
+    detect(points) {
+        return points.map((point, index) => {
+            const history = points
+                .slice(Math.max(0, index - this.window), index)
+                .map(item => item.y)
+                .filter(value => typeof value === 'number');
+
+            if (typeof point.y !== 'number' || history.length < this.minHistory) {
+                return { anomaly: false, score: null, median: null, deviation: null };
+            }
+
+            const median = this.median(history);
+            const mad = this.median(history.map(value => Math.abs(value - median)));
+            const spread = Math.max(
+                1.4826 * mad,
+                this.minRelativeSpread * median,
+                this.minAbsoluteSpread
+            );
+
+            const deviation = point.y - median;
+            const score = deviation / spread;
+
+            return {
+                anomaly: Math.abs(score) > this.threshold,
+                score: Math.round(score * 100) / 100,
+                median,
+                deviation
+            };
+        });
+    }
+
+    /**
+     * Check whether the most recent point of a series is anomalous
+     */
+    detectLatest(points) {
+        if (points.length === 0) return null;
+
+        const results = this.detect(points);
+        return results[results.length - 1];
+    }
+}
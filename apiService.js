@@ -0,0 +1,226 @@
+import { DataService } from './dataService.js';
+import { CategoryService } from './categoryService.js';
+import { I18nService } from './i18nService.js';
+import { InCanadaService } from './inCanadaService.js';
+
+/**
+ * ApiService - Builds the static JSON API: precomputed series per country, per
+ * in-Canada service and per category, so consumers skip the raw weekly files
+ * Has no DOM access; scripts/build-api.js writes the documents to api/
+ */
+export class ApiService {
+    constructor(dataService = new DataService()) {
+        this.dataService = dataService;
+        this.durationService = dataService.durationService;
+        this.inCanada = new InCanadaService(dataService);
+        this.version = 1;
+        this.languages = ['en', 'fr'];
+        this.categories = {};
+        this.languages.forEach(language => {
+            this.categories[language] = new CategoryService(new I18nService({ language }));
+        });
+    }
+
+    /**
+     * Load the current files and the weekly history the API is built from
+     */
+    async load() {
+        await this.dataService.initialize();
+        await this.dataService.loadWeeklyData();
+        await this.inCanada.loadHistory();
+    }
+
+    /**
+     * Build every document as { path, data }, with paths relative to the version directory
+     */
+    build() {
+        const countries = this.getCountryCodes().map(code => ({ path: `countries/${code}.json`, data: this.buildCountry(code) }));
+        const categories = this.dataService.getSeriesKeys().map(key => ({ path: `categories/${key}.json`, data: this.buildCategory(key) }));
+        const services = this.dataService.getInCanadaServices().map(({ service }) => ({ path: `services/${service}.json`, data: this.buildService(service) }));
+
+        return [{ path: 'index.json', data: this.buildIndex() }, ...countries, ...categories, ...services];
+    }
+
+    /**
+     * List what the API contains and where to find it
+     */
+    buildIndex() {
+        const countries = this.dataService.getCountries() || {};
+
+        return {
+            version: this.version,
+            lastupdated: this.dataService.getLastUpdated(),
+            latestWeek: this.dataService.getCurrentIsoWeek(),
+            weeks: this.dataService.getAvailableWeeks('processing-times'),
+            countries: this.getCountryCodes().map(code => ({
+                code,
+                name: countries[code] || code,
+                path: `countries/${code}.json`
+            })),
+            categories: this.dataService.getSeriesKeys().map(key => ({
+                key,
+                label: this.labels(key),
+                path: `categories/${key}.json`
+            })),
+            services: this.dataService.getInCanadaServices().map(({ category, service }) => ({
+                key: service,
+                category,
+                label: this.serviceLabels(category, service),
+                flpt: this.isFlpt(category, service),
+                path: `services/${service}.json`
+            }))
+        };
+    }
+
+    /**
+     * Every category of one country: the current value and its weekly history
+     *
+     * History is stored by column to keep the file small: raw and days line up
+     * with the document's weeks, with null for weeks without a value.
+     */
+    buildCountry(countryCode) {
+        const currentData = this.dataService.getCountryData(countryCode) || {};
+        const weeks = this.dataService.getAvailableWeeks('processing-times');
+        const series = {};
+
+        this.dataService.getSeriesKeys().forEach(key => {
+            const history = this.dataService.getHistoricalData(countryCode, key);
+            if (history.length === 0 && currentData[key] === undefined) return;
+
+            series[key] = {
+                label: this.labels(key),
+                current: currentData[key] === undefined ? null : this.createValue(currentData[key]),
+                ...this.createColumns(weeks, history)
+            };
+        });
+
+        return {
+            version: this.version,
+            country: countryCode,
+            name: (this.dataService.getCountries() || {})[countryCode] || countryCode,
+            lastupdated: this.dataService.getLastUpdated(),
+            weeks,
+            series
+        };
+    }
+
+    /**
+     * One in-Canada service: the current value and its weekly history, by column as for countries
+     */
+    buildService(serviceKey) {
+        const current = this.dataService.getInCanadaServices().find(entry => entry.service === serviceKey);
+        const category = current ? current.category : this.inCanada.getServiceCategory(serviceKey);
+        const weeks = this.dataService.getAvailableWeeks('in-canada-services');
+
+        return {
+            version: this.version,
+            service: serviceKey,
+            category,
+            label: this.serviceLabels(category, serviceKey),
+            flpt: this.isFlpt(category, serviceKey),
+            lastupdated: this.dataService.extractLastUpdated(this.dataService.inCanadaData),
+            current: current ? this.createValue(current.value) : null,
+            weeks,
+            ...this.createColumns(weeks, this.inCanada.getHistoricalData([serviceKey]))
+        };
+    }
+
+    /**
+     * One category across countries: each country's current value and its change
+     * since the previous update and the one twelve updates back, fastest first
+     */
+    buildCategory(seriesKey) {
+        const rows = this.dataService.getCategoryRanking(seriesKey);
+        const days = rows.map(row => row.duration.days).filter(value => value !== null).sort((a, b) => a - b);
+
+        rows.sort((a, b) => {
+            if (a.duration.days === null && b.duration.days === null) return a.name.localeCompare(b.name);
+            if (a.duration.days === null) return 1;
+            if (b.duration.days === null) return -1;
+            return a.duration.days - b.duration.days || a.name.localeCompare(b.name);
+        });
+
+        return {
+            version: this.version,
+            category: seriesKey,
+            label: this.labels(seriesKey),
+            latestWeek: this.dataService.getCurrentIsoWeek(),
+            lastupdated: this.dataService.getLastUpdated(),
+            summary: {
+                countries: rows.length,
+                withData: days.length,
+                minDays: days.length > 0 ? days[0] : null,
+                medianDays: days.length > 0 ? this.round(this.median(days)) : null,
+                maxDays: days.length > 0 ? days[days.length - 1] : null
+            },
+            countries: rows.map(row => ({
+                country: row.country,
+                name: row.name,
+                ...this.createValue(row.value),
+                weekChange: this.round(row.weekChange),
+                quarterChange: this.round(row.quarterChange)
+            }))
+        };
+    }
+
+    /**
+     * Countries with at least one current value, in code order
+     */
+    getCountryCodes() {
+        const codes = new Set();
+        Object.values(this.dataService.getSeriesData()).forEach(values => {
+            Object.keys(values).forEach(code => codes.add(code));
+        });
+        return Array.from(codes).sort();
+    }
+
+    /**
+     * A raw value with its normalized days and parse status
+     */
+    createValue(raw) {
+        const duration = this.durationService.parse(raw);
+        return { raw, days: this.round(duration.days), status: duration.status };
+    }
+
+    /**
+     * Line history entries up with weeks as { raw: [...], days: [...] }
+     */
+    createColumns(weeks, history) {
+        const byWeek = new Map(history.map(entry => [entry.week, entry.data]));
+        const raw = weeks.map(week => (byWeek.has(week) ? byWeek.get(week) : null));
+        return {
+            raw,
+            days: raw.map(value => (value === null ? null : this.round(this.durationService.toNormalizedDays(value))))
+        };
+    }
+
+    labels(key) {
+        const labels = {};
+        this.languages.forEach(language => {
+            labels[language] = this.categories[language].label(key);
+        });
+        return labels;
+    }
+
+    serviceLabels(categoryKey, serviceKey) {
+        const labels = {};
+        this.languages.forEach(language => {
+            labels[language] = this.categories[language].serviceLabel(categoryKey, serviceKey);
+        });
+        return labels;
+    }
+
+    isFlpt(categoryKey, serviceKey) {
+        const categories = this.categories.en;
+        return categories.isFlpt(categories.has(serviceKey) ? serviceKey : categoryKey);
+    }
+
+    median(values) {
+        const middle = Math.floor(values.length / 2);
+        return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    }
+
+    round(value) {
+        return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+    }
+}
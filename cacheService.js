@@ -0,0 +1,157 @@
+/**
+ * CacheService - Persistent cache for fetched data files
+ * Uses IndexedDB in the browser and falls back to an in-memory store
+ */
+export class CacheService {
+    constructor(store = null) {
+        this.store = store || CacheService.createDefaultStore();
+    }
+
+    /**
+     * Pick IndexedDB when the environment has it, otherwise keep entries in memory
+     */
+    static createDefaultStore() {
+        if (typeof indexedDB !== 'undefined') {
+            return new IndexedDBCacheStore();
+        }
+        return new MemoryCacheStore();
+    }
+
+    /**
+     * Get a cached entry ({ data, immutable, lastUpdated, storedAt }) or null
+     */
+    async get(key) {
+        try {
+            return (await this.store.get(key)) || null;
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store data under a key
+     *
+     * Immutable entries (weekly snapshots) are never revalidated once stored.
+     */
+    async set(key, data, { immutable = false, lastUpdated = null } = {}) {
+        const entry = {
+            data,
+            immutable,
+            lastUpdated,
+            storedAt: new Date().toISOString()
+        };
+
+        try {
+            await this.store.set(key, entry);
+        } catch (error) {
+            console.warn(`Cache write failed for ${key}:`, error);
+        }
+        return entry;
+    }
+
+    /**
+     * Remove a single entry
+     */
+    async delete(key) {
+        try {
+            await this.store.delete(key);
+        } catch (error) {
+            console.warn(`Cache delete failed for ${key}:`, error);
+        }
+    }
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.warn("Cache clear failed:", error);
+        }
+    }
+}
+
+/**
+ * IndexedDBCacheStore - Key/value store backed by a single IndexedDB object store
+ */
+export class IndexedDBCacheStore {
+    constructor(dbName = 'ircc-processing-times', storeName = 'files') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * MemoryCacheStore - In-memory store with the same interface, for tests and
+ * environments without IndexedDB
+ */
+export class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    async set(key, value) {
+        this.entries.set(key, value);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
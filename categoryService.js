@@ -0,0 +1,766 @@
+import { I18nService } from './i18nService.js';
+
+/**
+ * CategoryService - Registry of display names, descriptions and program groups
+ * for every processing time category, in-Canada service and sub-measure key
+ */
+export class CategoryService {
+    constructor(i18n = new I18nService()) {
+        this.i18n = i18n;
+        this.entries = CategoryService.registry();
+        this.groups = ['temporary', 'economic', 'family', 'refugee', 'citizenship', 'documents'];
+        this.metadataKeys = ['default-update', 'lastupdated', 'flpt_lastupdated', 'flpt_interval'];
+        this.unknownKeys = new Set();
+        this.onUnknown = null;
+    }
+
+    /**
+     * Check whether a key is in the registry
+     */
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.entries, key);
+    }
+
+    /**
+     * Get the registry entry for a key, recording keys that are missing
+     */
+    get(key) {
+        if (this.has(key)) return this.entries[key];
+
+        const seriesEntry = this.getSeriesEntry(key);
+        if (seriesEntry) return seriesEntry;
+
+        this.reportUnknown(key);
+        return null;
+    }
+
+    /**
+     * Combine the entries of a category and one of its sub-measures for a series key
+     * such as refugees_private.sponsor
+     */
+    getSeriesEntry(key) {
+        const [category, subMeasure] = String(key).split('.');
+        if (!subMeasure || !this.has(category) || !this.has(subMeasure)) return null;
+
+        const parent = this.entries[category];
+        const child = this.entries[subMeasure];
+        return {
+            group: parent.group,
+            flpt: parent.flpt,
+            label: {
+                en: `${parent.label.en} – ${child.label.en}`,
+                fr: `${parent.label.fr} – ${child.label.fr}`
+            },
+            description: child.description
+        };
+    }
+
+    /**
+     * Display name in the current language, generated from the key when it is not registered
+     */
+    label(key) {
+        const entry = this.get(key);
+        if (!entry) return this.titleCase(key);
+
+        return entry.label[this.i18n.language] || entry.label.en;
+    }
+
+    /**
+     * One-sentence description in the current language
+     */
+    description(key) {
+        const entry = this.get(key);
+        if (!entry) return '';
+
+        return entry.description[this.i18n.language] || entry.description.en;
+    }
+
+    /**
+     * Program group of a key (temporary, economic, family, refugee, citizenship or documents)
+     */
+    group(key) {
+        const entry = this.get(key);
+        return entry ? entry.group : null;
+    }
+
+    /**
+     * Display name of a program group
+     */
+    groupLabel(group) {
+        return this.i18n.t(`categoryGroup.${group || 'other'}`);
+    }
+
+    /**
+     * Whether the key is a forward-looking projection updated on the monthly FLPT cadence
+     */
+    isFlpt(key) {
+        const entry = this.get(key);
+        return entry ? entry.flpt : false;
+    }
+
+    /**
+     * Display name for an in-Canada service, prefixed with its category when the service is not registered
+     */
+    serviceLabel(categoryKey, serviceKey) {
+        if (serviceKey === categoryKey || this.has(serviceKey)) {
+            return this.label(serviceKey);
+        }
+
+        this.reportUnknown(serviceKey);
+        return `${this.label(categoryKey)} - ${this.titleCase(serviceKey)}`;
+    }
+
+    /**
+     * Check every key in the current data files and return the ones that are not registered
+     *
+     * current is the processing times file ({ category: { country: value } }) and
+     * inCanada the in-Canada services file ({ category: { service: value } }).
+     */
+    checkData({ current = {}, inCanada = {} } = {}) {
+        Object.entries(current || {}).forEach(([category, countries]) => {
+            this.get(category);
+            Object.values(countries || {}).forEach(value => {
+                if (value && typeof value === 'object') {
+                    Object.keys(value).forEach(key => this.get(key));
+                }
+            });
+        });
+
+        Object.entries(inCanada || {})
+            .filter(([category]) => !this.metadataKeys.includes(category))
+            .forEach(([category, services]) => {
+                this.get(category);
+                Object.keys(services || {}).forEach(service => this.get(service));
+            });
+
+        return this.getUnknownKeys();
+    }
+
+    /**
+     * List the keys seen so far that are missing from the registry
+     */
+    getUnknownKeys() {
+        return Array.from(this.unknownKeys).sort();
+    }
+
+    /**
+     * Warn once about a key that is missing from the registry
+     */
+    reportUnknown(key) {
+        if (this.metadataKeys.includes(key) || this.unknownKeys.has(key)) return;
+
+        this.unknownKeys.add(key);
+        console.warn(`Category "${key}" is not in the category registry; using a generated name`);
+        if (this.onUnknown) {
+            this.onUnknown(key);
+        }
+    }
+
+    /**
+     * Generated display name for keys missing from the registry
+     */
+    titleCase(key) {
+        return String(key).replace(/[-_]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    /**
+     * Registry entries
+     *
+     * group is the program group and flpt marks forward-looking projected times,
+     * which IRCC republishes monthly rather than weekly. In-Canada services that
+     * share their category key have a single entry.
+     */
+    static registry() {
+        return {
+            // Processing times by country
+            'visitor-outside-canada': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Visitor visa (outside Canada)', fr: 'Visa de visiteur (hors du Canada)' },
+                description: {
+                    en: 'Temporary resident visa applications made from outside Canada.',
+                    fr: 'Demandes de visa de résident temporaire présentées à l\'extérieur du Canada.'
+                }
+            },
+            'supervisa': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Parent and grandparent super visa', fr: 'Super visa pour parents et grands-parents' },
+                description: {
+                    en: 'Long-stay visitor visa for parents and grandparents of Canadian citizens and permanent residents.',
+                    fr: 'Visa de visiteur de longue durée pour les parents et grands-parents de citoyens canadiens et de résidents permanents.'
+                }
+            },
+            'study': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Study permit (outside Canada)', fr: 'Permis d\'études (hors du Canada)' },
+                description: {
+                    en: 'Study permit applications made from outside Canada.',
+                    fr: 'Demandes de permis d\'études présentées à l\'extérieur du Canada.'
+                }
+            },
+            'work': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Work permit (outside Canada)', fr: 'Permis de travail (hors du Canada)' },
+                description: {
+                    en: 'Work permit applications made from outside Canada.',
+                    fr: 'Demandes de permis de travail présentées à l\'extérieur du Canada.'
+                }
+            },
+            'child_dependent': {
+                group: 'family',
+                flpt: false,
+                label: { en: 'Dependent child', fr: 'Enfant à charge' },
+                description: {
+                    en: 'Sponsorship of a dependent child living outside Canada.',
+                    fr: 'Parrainage d\'un enfant à charge vivant à l\'extérieur du Canada.'
+                }
+            },
+            'child_adopted': {
+                group: 'family',
+                flpt: false,
+                label: { en: 'Adopted child', fr: 'Enfant adopté' },
+                description: {
+                    en: 'Sponsorship of a child adopted from outside Canada.',
+                    fr: 'Parrainage d\'un enfant adopté à l\'étranger.'
+                }
+            },
+            'refugees_gov': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Government-assisted refugees', fr: 'Réfugiés pris en charge par le gouvernement' },
+                description: {
+                    en: 'Refugees referred for resettlement and supported by the Government of Canada.',
+                    fr: 'Réfugiés recommandés pour la réinstallation et soutenus par le gouvernement du Canada.'
+                }
+            },
+            'refugees_private': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Privately sponsored refugees', fr: 'Réfugiés parrainés par le secteur privé' },
+                description: {
+                    en: 'Refugees resettled with the support of private sponsors, reported separately for the sponsor and the refugee.',
+                    fr: 'Réfugiés réinstallés avec le soutien de répondants privés, publiés séparément pour le répondant et le réfugié.'
+                }
+            },
+            'sponsor': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Sponsor', fr: 'Répondant' },
+                description: {
+                    en: 'Time to process the private sponsor\'s application.',
+                    fr: 'Délai de traitement de la demande du répondant privé.'
+                }
+            },
+            'refugee': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Refugee', fr: 'Réfugié' },
+                description: {
+                    en: 'Time to process the sponsored refugee\'s application.',
+                    fr: 'Délai de traitement de la demande du réfugié parrainé.'
+                }
+            },
+
+            // In-Canada services: temporary residence
+            'visitor_inside_canada': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Visitor visa (inside Canada)', fr: 'Visa de visiteur (au Canada)' },
+                description: {
+                    en: 'Visitor visa applications made from inside Canada.',
+                    fr: 'Demandes de visa de visiteur présentées au Canada.'
+                }
+            },
+            'visitor_extension': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Visitor extension', fr: 'Prolongation du statut de visiteur' },
+                description: {
+                    en: 'Extending a stay in Canada as a visitor (visitor record).',
+                    fr: 'Prolongation d\'un séjour au Canada à titre de visiteur (fiche du visiteur).'
+                }
+            },
+            'study_extension': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Study permit extension', fr: 'Prolongation du permis d\'études' },
+                description: {
+                    en: 'Extending a study permit from inside Canada.',
+                    fr: 'Prolongation d\'un permis d\'études depuis le Canada.'
+                }
+            },
+            'work_extension': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Work permit extension', fr: 'Prolongation du permis de travail' },
+                description: {
+                    en: 'Extending or changing a work permit from inside Canada.',
+                    fr: 'Prolongation ou modification d\'un permis de travail depuis le Canada.'
+                }
+            },
+            'iec': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'International Experience Canada (IEC)', fr: 'Expérience internationale Canada (EIC)' },
+                description: {
+                    en: 'Working holiday, young professional and international co-op work permits.',
+                    fr: 'Permis de travail Vacances-Travail, Jeunes professionnels et Stage coop international.'
+                }
+            },
+            'iec_past': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'International Experience Canada (IEC) - past participants', fr: 'Expérience internationale Canada (EIC) - participants précédents' },
+                description: {
+                    en: 'IEC work permits for people who have taken part before.',
+                    fr: 'Permis de travail EIC pour les personnes ayant déjà participé.'
+                }
+            },
+            'eta': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Electronic travel authorization (eTA)', fr: 'Autorisation de voyage électronique (AVE)' },
+                description: {
+                    en: 'Entry requirement for visa-exempt travellers flying to Canada.',
+                    fr: 'Exigence d\'entrée pour les voyageurs dispensés de visa qui arrivent au Canada par avion.'
+                }
+            },
+            'sawp': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Seasonal Agricultural Worker Program', fr: 'Programme des travailleurs agricoles saisonniers' },
+                description: {
+                    en: 'Work permits for seasonal farm workers from Mexico and the Caribbean.',
+                    fr: 'Permis de travail pour les travailleurs agricoles saisonniers du Mexique et des Antilles.'
+                }
+            },
+            'sawp_current': {
+                group: 'temporary',
+                flpt: false,
+                label: { en: 'Seasonal Agricultural Worker Program', fr: 'Programme des travailleurs agricoles saisonniers' },
+                description: {
+                    en: 'Work permits for the current agricultural season.',
+                    fr: 'Permis de travail pour la saison agricole en cours.'
+                }
+            },
+
+            // In-Canada services: economic immigration
+            'quebec_business': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Quebec business immigration', fr: 'Gens d\'affaires du Québec' },
+                description: {
+                    en: 'Permanent residence for investors, entrepreneurs and self-employed people selected by Quebec.',
+                    fr: 'Résidence permanente des investisseurs, entrepreneurs et travailleurs autonomes sélectionnés par le Québec.'
+                }
+            },
+            'self_employed_federal': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Self-employed persons (federal)', fr: 'Travailleurs autonomes (fédéral)' },
+                description: {
+                    en: 'Permanent residence for self-employed people in cultural and athletic activities.',
+                    fr: 'Résidence permanente des travailleurs autonomes dans les activités culturelles et sportives.'
+                }
+            },
+            'fed_skilled_trades': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Federal Skilled Trades', fr: 'Métiers spécialisés (fédéral)' },
+                description: {
+                    en: 'Permanent residence for qualified tradespeople.',
+                    fr: 'Résidence permanente des gens de métier qualifiés.'
+                }
+            },
+            'skilled_trades_ee': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Federal Skilled Trades (Express Entry)', fr: 'Métiers spécialisés (fédéral) (Entrée express)' },
+                description: {
+                    en: 'Federal Skilled Trades applications managed through Express Entry.',
+                    fr: 'Demandes du Programme des métiers spécialisés gérées par Entrée express.'
+                }
+            },
+            'startup_back': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Start-up Visa Program', fr: 'Programme de visa pour démarrage d\'entreprise' },
+                description: {
+                    en: 'Permanent residence for entrepreneurs backed by a designated organization.',
+                    fr: 'Résidence permanente des entrepreneurs appuyés par une organisation désignée.'
+                }
+            },
+            'atlantic-immigration-program': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Atlantic Immigration Program', fr: 'Programme d\'immigration au Canada atlantique' },
+                description: {
+                    en: 'Permanent residence for workers with a job offer in an Atlantic province.',
+                    fr: 'Résidence permanente des travailleurs ayant une offre d\'emploi dans une province de l\'Atlantique.'
+                }
+            },
+            'empp': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Economic Mobility Pathways Pilot (EMPP)', fr: 'Projet pilote sur la mobilité économique des réfugiés (PPMER)' },
+                description: {
+                    en: 'Economic immigration for skilled refugees and displaced people.',
+                    fr: 'Immigration économique des réfugiés et personnes déplacées qualifiés.'
+                }
+            },
+            'caregivers': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Caregivers', fr: 'Aides familiaux' },
+                description: {
+                    en: 'Pilot programs for home child care providers and home support workers.',
+                    fr: 'Projets pilotes pour les gardiens d\'enfants en milieu familial et les aides familiaux à domicile.'
+                }
+            },
+            'childcare': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Home Child Care Provider Pilot', fr: 'Projet pilote des gardiens d\'enfants en milieu familial' },
+                description: {
+                    en: 'Work permits for home child care providers.',
+                    fr: 'Permis de travail des gardiens d\'enfants en milieu familial.'
+                }
+            },
+            'childcare_pr': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Home Child Care Provider Pilot - permanent residence', fr: 'Projet pilote des gardiens d\'enfants en milieu familial - résidence permanente' },
+                description: {
+                    en: 'Permanent residence for home child care providers.',
+                    fr: 'Résidence permanente des gardiens d\'enfants en milieu familial.'
+                }
+            },
+            'supportworker': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Home Support Worker Pilot', fr: 'Projet pilote des aides familiaux à domicile' },
+                description: {
+                    en: 'Work permits for home support workers.',
+                    fr: 'Permis de travail des aides familiaux à domicile.'
+                }
+            },
+            'supportworker_pr': {
+                group: 'economic',
+                flpt: false,
+                label: { en: 'Home Support Worker Pilot - permanent residence', fr: 'Projet pilote des aides familiaux à domicile - résidence permanente' },
+                description: {
+                    en: 'Permanent residence for home support workers.',
+                    fr: 'Résidence permanente des aides familiaux à domicile.'
+                }
+            },
+            'cec_flpt': {
+                group: 'economic',
+                flpt: true,
+                label: { en: 'Canadian Experience Class (Express Entry)', fr: 'Catégorie de l\'expérience canadienne (Entrée express)' },
+                description: {
+                    en: 'Permanent residence for skilled workers with Canadian work experience.',
+                    fr: 'Résidence permanente des travailleurs qualifiés ayant une expérience de travail au Canada.'
+                }
+            },
+            'pnp_ee_flpt': {
+                group: 'economic',
+                flpt: true,
+                label: { en: 'Provincial Nominee Program (Express Entry)', fr: 'Programme des candidats des provinces (Entrée express)' },
+                description: {
+                    en: 'Permanent residence for provincial nominees applying through Express Entry.',
+                    fr: 'Résidence permanente des candidats des provinces qui passent par Entrée express.'
+                }
+            },
+            'pnp_flpt': {
+                group: 'economic',
+                flpt: true,
+                label: { en: 'Provincial Nominee Program (non-Express Entry)', fr: 'Programme des candidats des provinces (hors Entrée express)' },
+                description: {
+                    en: 'Permanent residence for provincial nominees applying on paper or online outside Express Entry.',
+                    fr: 'Résidence permanente des candidats des provinces qui présentent une demande hors Entrée express.'
+                }
+            },
+            'fsw_ee_flpt': {
+                group: 'economic',
+                flpt: true,
+                label: { en: 'Federal Skilled Worker (Express Entry)', fr: 'Travailleurs qualifiés (fédéral) (Entrée express)' },
+                description: {
+                    en: 'Permanent residence for skilled workers selected through Express Entry.',
+                    fr: 'Résidence permanente des travailleurs qualifiés sélectionnés par Entrée express.'
+                }
+            },
+            'skilled_workers_qc_flpt': {
+                group: 'economic',
+                flpt: true,
+                label: { en: 'Quebec-selected skilled workers', fr: 'Travailleurs qualifiés sélectionnés par le Québec' },
+                description: {
+                    en: 'Permanent residence for skilled workers holding a Quebec selection certificate.',
+                    fr: 'Résidence permanente des travailleurs qualifiés titulaires d\'un certificat de sélection du Québec.'
+                }
+            },
+
+            // In-Canada services: family sponsorship
+            'spousal_canada_qc_flpt': {
+                group: 'family',
+                flpt: true,
+                label: { en: 'Spouse or partner sponsorship (inside Canada) - Quebec', fr: 'Parrainage d\'un époux (au Canada) - Québec' },
+                description: {
+                    en: 'Sponsoring a spouse or partner who lives in Canada, for sponsors in Quebec.',
+                    fr: 'Parrainage d\'un époux ou conjoint qui vit au Canada, pour les répondants du Québec.'
+                }
+            },
+            'spousal_canada_roc_flpt': {
+                group: 'family',
+                flpt: true,
+                label: { en: 'Spouse or partner sponsorship (inside Canada) - rest of Canada', fr: 'Parrainage d\'un époux (au Canada) - reste du Canada' },
+                description: {
+                    en: 'Sponsoring a spouse or partner who lives in Canada, for sponsors outside Quebec.',
+                    fr: 'Parrainage d\'un époux ou conjoint qui vit au Canada, pour les répondants hors Québec.'
+                }
+            },
+            'spousal_outside_qc_flpt': {
+                group: 'family',
+                flpt: true,
+                label: { en: 'Spouse or partner sponsorship (outside Canada) - Quebec', fr: 'Parrainage d\'un époux (hors du Canada) - Québec' },
+                description: {
+                    en: 'Sponsoring a spouse or partner who lives outside Canada, for sponsors in Quebec.',
+                    fr: 'Parrainage d\'un époux ou conjoint qui vit à l\'étranger, pour les répondants du Québec.'
+                }
+            },
+            'spousal_outside_roc_flpt': {
+                group: 'family',
+                flpt: true,
+                label: { en: 'Spouse or partner sponsorship (outside Canada) - rest of Canada', fr: 'Parrainage d\'un époux (hors du Canada) - reste du Canada' },
+                description: {
+                    en: 'Sponsoring a spouse or partner who lives outside Canada, for sponsors outside Quebec.',
+                    fr: 'Parrainage d\'un époux ou conjoint qui vit à l\'étranger, pour les répondants hors Québec.'
+                }
+            },
+            'pgp_qc_flpt': {
+                group: 'family',
+                flpt: true,
+                label: { en: 'Parents and Grandparents Program - Quebec', fr: 'Programme des parents et grands-parents - Québec' },
+                description: {
+                    en: 'Sponsoring parents and grandparents, for sponsors in Quebec.',
+                    fr: 'Parrainage des parents et grands-parents, pour les répondants du Québec.'
+                }
+            },
+            'pgp_roc_flpt': {
+                group: 'family',
+                flpt: true,
+                label: { en: 'Parents and Grandparents Program - rest of Canada', fr: 'Programme des parents et grands-parents - reste du Canada' },
+                description: {
+                    en: 'Sponsoring parents and grandparents, for sponsors outside Quebec.',
+                    fr: 'Parrainage des parents et grands-parents, pour les répondants hors Québec.'
+                }
+            },
+
+            // In-Canada services: refugees and humanitarian
+            'refugees_protected': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Protected persons', fr: 'Personnes protégées' },
+                description: {
+                    en: 'Permanent residence for people granted protection in Canada.',
+                    fr: 'Résidence permanente des personnes ayant obtenu l\'asile au Canada.'
+                }
+            },
+            'refugees_protected_roc': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Protected persons - rest of Canada', fr: 'Personnes protégées - reste du Canada' },
+                description: {
+                    en: 'Permanent residence for protected persons living outside Quebec.',
+                    fr: 'Résidence permanente des personnes protégées qui vivent hors Québec.'
+                }
+            },
+            'refugees_protected_qc': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Protected persons - Quebec', fr: 'Personnes protégées - Québec' },
+                description: {
+                    en: 'Permanent residence for protected persons living in Quebec.',
+                    fr: 'Résidence permanente des personnes protégées qui vivent au Québec.'
+                }
+            },
+            'dependents_protected_persons': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Dependants of protected persons', fr: 'Personnes à charge de personnes protégées' },
+                description: {
+                    en: 'Permanent residence for family members of protected persons who live abroad.',
+                    fr: 'Résidence permanente des membres de la famille de personnes protégées qui vivent à l\'étranger.'
+                }
+            },
+            'humanitarian_compassionate': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Humanitarian and compassionate grounds', fr: 'Considérations d\'ordre humanitaire' },
+                description: {
+                    en: 'Permanent residence on humanitarian and compassionate grounds.',
+                    fr: 'Résidence permanente pour des considérations d\'ordre humanitaire.'
+                }
+            },
+            'humanitarian_compassionate_roc': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Humanitarian and compassionate grounds - rest of Canada', fr: 'Considérations d\'ordre humanitaire - reste du Canada' },
+                description: {
+                    en: 'Humanitarian and compassionate applications from outside Quebec.',
+                    fr: 'Demandes pour considérations d\'ordre humanitaire hors Québec.'
+                }
+            },
+            'humanitarian_compassionate_qc': {
+                group: 'refugee',
+                flpt: false,
+                label: { en: 'Humanitarian and compassionate grounds - Quebec', fr: 'Considérations d\'ordre humanitaire - Québec' },
+                description: {
+                    en: 'Humanitarian and compassionate applications from Quebec.',
+                    fr: 'Demandes pour considérations d\'ordre humanitaire au Québec.'
+                }
+            },
+
+            // In-Canada services: citizenship
+            'citizenship': {
+                group: 'citizenship',
+                flpt: false,
+                label: { en: 'Citizenship', fr: 'Citoyenneté' },
+                description: {
+                    en: 'Citizenship services other than grants and proofs.',
+                    fr: 'Services de citoyenneté autres que l\'attribution et la preuve.'
+                }
+            },
+            'cit_resumption': {
+                group: 'citizenship',
+                flpt: false,
+                label: { en: 'Citizenship - resumption', fr: 'Citoyenneté - réintégration' },
+                description: {
+                    en: 'Getting Canadian citizenship back after giving it up.',
+                    fr: 'Réintégration dans la citoyenneté canadienne après y avoir renoncé.'
+                }
+            },
+            'cit_renunciation': {
+                group: 'citizenship',
+                flpt: false,
+                label: { en: 'Citizenship - renunciation', fr: 'Citoyenneté - répudiation' },
+                description: {
+                    en: 'Giving up Canadian citizenship.',
+                    fr: 'Renonciation à la citoyenneté canadienne.'
+                }
+            },
+            'cit_search': {
+                group: 'citizenship',
+                flpt: false,
+                label: { en: 'Citizenship - search of records', fr: 'Citoyenneté - recherche des registres' },
+                description: {
+                    en: 'Searching citizenship records.',
+                    fr: 'Recherche dans les registres de citoyenneté.'
+                }
+            },
+            'cit_adoption_part1': {
+                group: 'citizenship',
+                flpt: false,
+                label: { en: 'Citizenship - adoption (part 1)', fr: 'Citoyenneté - adoption (partie 1)' },
+                description: {
+                    en: 'First part of a citizenship application for a child adopted abroad.',
+                    fr: 'Première partie de la demande de citoyenneté pour un enfant adopté à l\'étranger.'
+                }
+            },
+            'cit_grant_flpt': {
+                group: 'citizenship',
+                flpt: true,
+                label: { en: 'Citizenship grant', fr: 'Attribution de la citoyenneté' },
+                description: {
+                    en: 'Becoming a Canadian citizen, from application to oath.',
+                    fr: 'Obtention de la citoyenneté canadienne, de la demande au serment.'
+                }
+            },
+            'cit_proof_flpt': {
+                group: 'citizenship',
+                flpt: true,
+                label: { en: 'Proof of citizenship', fr: 'Preuve de citoyenneté' },
+                description: {
+                    en: 'Citizenship certificate applications.',
+                    fr: 'Demandes de certificat de citoyenneté.'
+                }
+            },
+
+            // In-Canada services: status documents
+            'pr_card': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Permanent resident card', fr: 'Carte de résident permanent' },
+                description: {
+                    en: 'New and renewed permanent resident cards.',
+                    fr: 'Nouvelles cartes de résident permanent et renouvellements.'
+                }
+            },
+            'new_pr': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Permanent resident card - new permanent residents', fr: 'Carte de résident permanent - nouveaux résidents' },
+                description: {
+                    en: 'First permanent resident card after landing.',
+                    fr: 'Première carte de résident permanent après l\'établissement.'
+                }
+            },
+            'existing_pr': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Permanent resident card - existing permanent residents', fr: 'Carte de résident permanent - résidents actuels' },
+                description: {
+                    en: 'Renewing or replacing a permanent resident card.',
+                    fr: 'Renouvellement ou remplacement d\'une carte de résident permanent.'
+                }
+            },
+            'rep_documents': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Replacement and amended documents', fr: 'Documents de remplacement' },
+                description: {
+                    en: 'Verifying, replacing and correcting immigration documents.',
+                    fr: 'Vérification, remplacement et correction des documents d\'immigration.'
+                }
+            },
+            'vos': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Replacement documents - verification of status', fr: 'Documents de remplacement - vérification du statut' },
+                description: {
+                    en: 'Confirming immigration status or replacing an immigration record.',
+                    fr: 'Confirmation du statut d\'immigrant ou remplacement d\'un document d\'immigration.'
+                }
+            },
+            'replacement': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Replacement documents - replacement', fr: 'Documents de remplacement - remplacement' },
+                description: {
+                    en: 'Replacing a lost or damaged temporary resident document.',
+                    fr: 'Remplacement d\'un document de résident temporaire perdu ou endommagé.'
+                }
+            },
+            'amend_imm': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Replacement documents - amending an immigration document', fr: 'Documents de remplacement - modification d\'un document d\'immigration' },
+                description: {
+                    en: 'Correcting an error on a permanent residence document.',
+                    fr: 'Correction d\'une erreur dans un document de résidence permanente.'
+                }
+            },
+            'amend_tr': {
+                group: 'documents',
+                flpt: false,
+                label: { en: 'Replacement documents - amending a temporary resident document', fr: 'Documents de remplacement - modification d\'un document de résident temporaire' },
+                description: {
+                    en: 'Correcting an error on a visitor record or a study or work permit.',
+                    fr: 'Correction d\'une erreur dans une fiche du visiteur ou un permis d\'études ou de travail.'
+                }
+            }
+        };
+    }
+}
@@ -1,9 +1,20 @@
+import { I18nService } from './i18nService.js';
+import { CategoryService } from './categoryService.js';
+import { DurationService } from './durationService.js';
+import { ExportService } from './exportService.js';
+import { HistoryService } from './historyService.js';
+
 /**
  * ChartService - Handles chart rendering and data visualization
  * Requires Chart.js to be loaded
  */
-class ChartService {
-    constructor() {
+export class ChartService {
+    constructor(i18n = new I18nService(), categoryService = new CategoryService(i18n)) {
+        this.i18n = i18n;
+        this.categoryService = categoryService;
+        this.durationService = new DurationService();
+        this.historyService = new HistoryService(this.durationService);
+        this.exportService = new ExportService(this.durationService);
         this.charts = new Map();
         this.colors = [
             '#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6',
@@ -35,90 +46,6 @@ class ChartService {
         return canvas;
     }
 
-    /**
-     * Extract numeric values from processing time data
-     */
-    extractProcessingTime(data) {
-        if (typeof data === 'string') {
-            // Try to extract number from strings like "12 months", "45 days", etc.
-            const match = data.match(/(\d+(?:\.\d+)?)/);
-            return match ? parseFloat(match[1]) : null;
-        }
-        
-        if (typeof data === 'number') {
-            return data;
-        }
-        
-        if (typeof data === 'object' && data !== null) {
-            // Look for common time-related properties
-            const timeKeys = ['months', 'days', 'weeks', 'time', 'duration'];
-            for (const key of timeKeys) {
-                if (data[key] !== undefined) {
-                    return this.extractProcessingTime(data[key]);
-                }
-            }
-            
-            // If object has multiple properties, might need custom logic
-            // For now, return null for complex objects
-            return null;
-        }
-        
-        return null;
-    }
-
-    /**
-     * Normalize time units to months for comparison
-     */
-    normalizeToMonths(value, unit) {
-        if (!value) return null;
-        
-        switch (unit.toLowerCase()) {
-            case 'days':
-                return value / 30.44; // Average days per month
-            case 'weeks':
-                return value / 4.35; // Average weeks per month
-            case 'months':
-                return value;
-            case 'years':
-                return value * 12;
-            default:
-                return value; // Assume months if unit unknown
-        }
-    }
-
-    /**
-     * Prepare historical data for charting
-     */
-    prepareChartData(historicalData) {
-        const chartData = {};
-        
-        historicalData.forEach(entry => {
-            const category = entry.category;
-            const date = entry.date;
-            const processingTime = this.extractProcessingTime(entry.data);
-            
-            if (processingTime !== null) {
-                if (!chartData[category]) {
-                    chartData[category] = [];
-                }
-                
-                chartData[category].push({
-                    x: date,
-                    y: processingTime,
-                    week: entry.week,
-                    rawData: entry.data
-                });
-            }
-        });
-        
-        // Sort each category by date
-        Object.keys(chartData).forEach(category => {
-            chartData[category].sort((a, b) => a.x - b.x);
-        });
-        
-        return chartData;
-    }
-
     /**
      * Create a line chart for historical processing times
      */
@@ -126,20 +53,40 @@ class ChartService {
         const canvas = this.createChartCanvas(containerId, chartId);
         const ctx = canvas.getContext('2d');
         
-        const chartData = this.prepareChartData(historicalData);
+        const chartData = this.historyService.prepareChartData(historicalData);
+        
+        if (options.showAnomalies) {
+            this.historyService.markAnomalies(chartData);
+        }
         
         // Create datasets for each category
         const datasets = Object.entries(chartData).map(([category, data], index) => ({
-            label: category.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+            label: options.labelFor ? options.labelFor(category) : this.categoryService.label(category),
             data: data,
             borderColor: this.colors[index % this.colors.length],
             backgroundColor: this.colors[index % this.colors.length] + '20',
             fill: false,
             tension: 0.1,
-            pointRadius: 3,
-            pointHoverRadius: 6
+            pointRadius: context => (context.raw && context.raw.anomaly ? 7 : 3),
+            pointHoverRadius: 6,
+            pointStyle: context => (context.raw && context.raw.anomaly ? 'triangle' : 'circle'),
+            pointBackgroundColor: context => (context.raw && context.raw.anomaly ? '#dc2626' : this.colors[index % this.colors.length])
         }));
         
+        if (options.forecasts) {
+            Object.entries(chartData).forEach(([category, data], index) => {
+                const forecast = options.forecasts[category];
+                if (forecast && data.length > 0) {
+                    datasets.push(...this.createForecastDatasets(
+                        datasets[index].label,
+                        data[data.length - 1],
+                        forecast,
+                        this.colors[index % this.colors.length]
+                    ));
+                }
+            });
+        }
+        
         const config = {
             type: 'line',
             data: { datasets },
@@ -153,18 +100,37 @@ class ChartService {
                 plugins: {
                     title: {
                         display: true,
-                        text: options.title || 'Processing Times Over Time'
+                        text: options.title || this.i18n.t('chart.title')
                     },
                     legend: {
                         display: true,
-                        position: 'top'
+                        position: 'top',
+                        labels: {
+                            filter: (item, data) => !data.datasets[item.datasetIndex].isBand
+                        }
                     },
                     tooltip: {
+                        filter: item => !item.dataset.isBand,
                         callbacks: {
-                            label: function(context) {
+                            label: (context) => {
                                 const point = context.parsed;
                                 const rawData = context.raw;
-                                return `${context.dataset.label}: ${point.y} (${rawData.week})`;
+                                if (rawData.forecast) {
+                                    return this.i18n.t('chart.tooltipForecast', {
+                                        label: context.dataset.label,
+                                        days: this.i18n.days(point.y),
+                                        lower: Math.round(rawData.lower),
+                                        upper: Math.round(rawData.upper),
+                                        week: rawData.week
+                                    });
+                                }
+                                const flag = rawData.anomaly ? this.i18n.t('chart.unusualJump') : '';
+                                return this.i18n.t('chart.tooltip', {
+                                    label: context.dataset.label,
+                                    days: this.i18n.days(point.y),
+                                    raw: this.i18n.formatDuration(this.durationService.parse(rawData.rawData)),
+                                    week: rawData.week
+                                }) + flag;
                             }
                         }
                     }
@@ -178,15 +144,18 @@ class ChartService {
                                 week: 'MMM DD'
                             }
                         },
+                        ticks: {
+                            callback: value => this.formatTick(value)
+                        },
                         title: {
                             display: true,
-                            text: 'Date'
+                            text: this.i18n.t('chart.date')
                         }
                     },
                     y: {
                         title: {
                             display: true,
-                            text: options.yAxisLabel || 'Processing Time'
+                            text: options.yAxisLabel || this.i18n.t('chart.yAxis')
                         },
                         beginAtZero: true
                     }
@@ -194,6 +163,12 @@ class ChartService {
             }
         };
         
+        // Static charts render once at a fixed size, e.g. for reports
+        if (options.static) {
+            config.options.responsive = false;
+            config.options.animation = false;
+        }
+        
         // Destroy existing chart if it exists
         if (this.charts.has(chartId)) {
             this.charts.get(chartId).destroy();
@@ -202,9 +177,61 @@ class ChartService {
         const chart = new Chart(ctx, config);
         this.charts.set(chartId, chart);
         
+        if (!options.static) {
+            this.addDownloadControls(containerId, chartId, options.filename);
+        }
+        
         return chart;
     }
 
+    /**
+     * Format a time-axis tick in the current locale, e.g. "May 13" or "13 mai"
+     */
+    formatTick(value) {
+        return this.i18n.formatDate(new Date(value), { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Create the dashed forecast line and shaded confidence band for one series
+     * 
+     * Each starts at the last actual point so the projection joins the history.
+     */
+    createForecastDatasets(label, lastPoint, forecast, color) {
+        const start = { x: lastPoint.x, y: lastPoint.y, lower: lastPoint.y, upper: lastPoint.y, week: lastPoint.week };
+        const points = [start, ...forecast.points];
+        
+        return [
+            {
+                label: this.i18n.t('chart.forecastLabel', { label }),
+                data: points.map(point => ({ ...point, forecast: true })),
+                borderColor: color,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.1,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                isForecast: true
+            },
+            {
+                label: `${label} (forecast upper)`,
+                data: points.map(point => ({ x: point.x, y: point.upper })),
+                borderWidth: 0,
+                pointRadius: 0,
+                fill: false,
+                isBand: true
+            },
+            {
+                label: `${label} (forecast lower)`,
+                data: points.map(point => ({ x: point.x, y: point.lower })),
+                borderWidth: 0,
+                pointRadius: 0,
+                backgroundColor: color + '20',
+                fill: '-1',
+                isBand: true
+            }
+        ];
+    }
+
     /**
      * Create a comparison chart for multiple countries
      */
@@ -214,10 +241,10 @@ class ChartService {
         
         const datasets = Object.entries(countriesData).map(([countryCode, historicalData], index) => {
             const categoryData = historicalData.filter(entry => entry.category === category);
-            const chartData = this.prepareChartData(categoryData);
+            const chartData = this.historyService.prepareChartData(categoryData);
             
             return {
-                label: countryCode, // You might want to convert this to country name
+                label: (options.countryNames && options.countryNames[countryCode]) || countryCode,
                 data: chartData[category] || [],
                 borderColor: this.colors[index % this.colors.length],
                 backgroundColor: this.colors[index % this.colors.length] + '20',
@@ -235,7 +262,7 @@ class ChartService {
                 plugins: {
                     title: {
                         display: true,
-                        text: options.title || `${category} - Country Comparison`
+                        text: options.title || this.i18n.t('chart.comparisonTitle', { category })
                     },
                     legend: {
                         display: true,
@@ -248,15 +275,18 @@ class ChartService {
                         time: {
                             unit: 'week'
                         },
+                        ticks: {
+                            callback: value => this.formatTick(value)
+                        },
                         title: {
                             display: true,
-                            text: 'Date'
+                            text: this.i18n.t('chart.date')
                         }
                     },
                     y: {
                         title: {
                             display: true,
-                            text: options.yAxisLabel || 'Processing Time'
+                            text: options.yAxisLabel || this.i18n.t('chart.yAxis')
                         },
                         beginAtZero: true
                     }
@@ -271,30 +301,183 @@ class ChartService {
         const chart = new Chart(ctx, config);
         this.charts.set(chartId, chart);
         
+        this.addDownloadControls(containerId, chartId, options.filename);
+        
         return chart;
     }
 
     /**
-     * Create a simple trend indicator
+     * Add "Download PNG" and "Download SVG" buttons below a chart container
+     */
+    addDownloadControls(containerId, chartId, filename = chartId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        let controls = document.getElementById(`${chartId}-downloads`);
+        if (!controls) {
+            controls = document.createElement('div');
+            controls.id = `${chartId}-downloads`;
+            controls.className = 'controls chart-downloads';
+            controls.innerHTML = `
+                <button type="button" data-format="png"></button>
+                <button type="button" data-format="svg"></button>
+            `;
+            container.insertAdjacentElement('afterend', controls);
+            
+            controls.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.downloadChart(chartId, button.dataset.format, controls.dataset.filename);
+                });
+            });
+        }
+        
+        controls.dataset.filename = filename;
+        controls.querySelector('[data-format="png"]').textContent = this.i18n.t('chart.downloadPng');
+        controls.querySelector('[data-format="svg"]').textContent = this.i18n.t('chart.downloadSvg');
+    }
+
+    /**
+     * Download a chart as PNG or SVG
+     */
+    downloadChart(chartId, format = 'png', filename = chartId) {
+        if (!this.charts.has(chartId)) return;
+        
+        const safeName = filename.replace(/[^\w.-]+/g, '-');
+        if (format === 'svg') {
+            this.exportService.download(`${safeName}.svg`, this.toSVG(chartId), 'image/svg+xml');
+            return;
+        }
+        
+        const link = document.createElement('a');
+        link.href = this.toPNG(chartId);
+        link.download = `${safeName}.png`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Render a chart to a PNG data URL on a white background
+     */
+    toPNG(chartId) {
+        const chart = this.charts.get(chartId);
+        const source = chart.canvas;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0);
+        
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Rebuild a rendered chart as a standalone SVG document
+     * 
+     * Uses the laid-out scales and point positions, so the SVG matches what is on screen.
      */
-    calculateTrend(data) {
-        if (data.length < 2) return { trend: 'insufficient-data', change: 0 };
+    toSVG(chartId) {
+        const chart = this.charts.get(chartId);
+        const { width, height, chartArea: area } = chart;
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const parts = [`<rect width="${width}" height="${height}" fill="#ffffff"/>`];
         
-        const recent = data.slice(-4); // Last 4 data points
-        const older = data.slice(-8, -4); // Previous 4 data points
+        // Gridlines and tick labels
+        const xScale = chart.scales.x;
+        const yScale = chart.scales.y;
+        yScale.ticks.forEach((tick, index) => {
+            const y = yScale.getPixelForTick(index);
+            parts.push(`<line x1="${area.left}" y1="${y}" x2="${area.right}" y2="${y}" stroke="#e5e7eb"/>`);
+            parts.push(`<text x="${area.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="#666">${escape(tick.label)}</text>`);
+        });
+        xScale.ticks.forEach((tick, index) => {
+            const x = xScale.getPixelForTick(index);
+            parts.push(`<line x1="${x}" y1="${area.top}" x2="${x}" y2="${area.bottom}" stroke="#f3f4f6"/>`);
+            parts.push(`<text x="${x}" y="${area.bottom + 16}" text-anchor="middle" font-size="11" fill="#666">${escape(tick.label)}</text>`);
+        });
+        parts.push(`<rect x="${area.left}" y="${area.top}" width="${area.right - area.left}" height="${area.bottom - area.top}" fill="none" stroke="#d1d5db"/>`);
+        
+        // Axis titles
+        const xTitle = xScale.options.title;
+        const yTitle = yScale.options.title;
+        if (xTitle && xTitle.display) {
+            parts.push(`<text x="${(area.left + area.right) / 2}" y="${height - 4}" text-anchor="middle" font-size="12" fill="#666">${escape(xTitle.text)}</text>`);
+        }
+        if (yTitle && yTitle.display) {
+            const cy = (area.top + area.bottom) / 2;
+            parts.push(`<text x="14" y="${cy}" transform="rotate(-90 14 ${cy})" text-anchor="middle" font-size="12" fill="#666">${escape(yTitle.text)}</text>`);
+        }
         
-        if (recent.length === 0 || older.length === 0) return { trend: 'insufficient-data', change: 0 };
+        // Datasets: shaded bands first, then lines and points
+        chart.data.datasets.forEach((dataset, index) => {
+            const meta = chart.getDatasetMeta(index);
+            if (!meta.visible || dataset.fill !== '-1' || index === 0) return;
+            
+            const upper = chart.getDatasetMeta(index - 1).data.map(point => `${point.x},${point.y}`);
+            const lower = meta.data.map(point => `${point.x},${point.y}`).reverse();
+            parts.push(`<polygon points="${upper.concat(lower).join(' ')}" fill="${dataset.backgroundColor}" stroke="none"/>`);
+        });
+        chart.data.datasets.forEach((dataset, index) => {
+            const meta = chart.getDatasetMeta(index);
+            if (!meta.visible || dataset.isBand || meta.data.length === 0) return;
+            
+            const points = meta.data.map(point => `${point.x},${point.y}`).join(' ');
+            const dash = dataset.borderDash ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"` : '';
+            parts.push(`<polyline points="${points}" fill="none" stroke="${dataset.borderColor}" stroke-width="2"${dash}/>`);
+            
+            if (dataset.pointRadius !== 0) {
+                meta.data.forEach((point, pointIndex) => {
+                    const raw = dataset.data[pointIndex];
+                    const fill = raw && raw.anomaly ? '#dc2626' : dataset.borderColor;
+                    const radius = raw && raw.anomaly ? 5 : 2.5;
+                    parts.push(`<circle cx="${point.x}" cy="${point.y}" r="${radius}" fill="${fill}"/>`);
+                });
+            }
+        });
         
-        const recentAvg = recent.reduce((sum, item) => sum + item.y, 0) / recent.length;
-        const olderAvg = older.reduce((sum, item) => sum + item.y, 0) / older.length;
+        // Title and legend
+        const title = chart.options.plugins.title;
+        if (title && title.display) {
+            parts.push(`<text x="${width / 2}" y="18" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${escape(title.text)}</text>`);
+        }
+        const legendItems = chart.legend ? chart.legend.legendItems || [] : [];
+        const hitBoxes = chart.legend ? chart.legend.legendHitBoxes || [] : [];
+        legendItems.forEach((item, index) => {
+            const box = hitBoxes[index];
+            if (!box) return;
+            parts.push(`<rect x="${box.left}" y="${box.top + 2}" width="30" height="8" fill="${item.strokeStyle}"/>`);
+            parts.push(`<text x="${box.left + 36}" y="${box.top + 10}" font-size="11" fill="#333">${escape(item.text)}</text>`);
+        });
         
-        const change = ((recentAvg - olderAvg) / olderAvg) * 100;
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">${parts.join('')}</svg>\n`;
+    }
+
+    /**
+     * Render a historical chart off-screen at a fixed size and return it as a PNG data URL
+     */
+    renderChartImage(historicalData, options = {}) {
+        const containerId = 'offscreen-chart-container';
+        const chartId = 'offscreen-chart';
         
-        let trend = 'stable';
-        if (change > 5) trend = 'increasing';
-        else if (change < -5) trend = 'decreasing';
+        const container = document.createElement('div');
+        container.id = containerId;
+        container.style.position = 'absolute';
+        container.style.left = '-10000px';
+        container.style.width = '800px';
+        container.style.height = '400px';
+        document.body.appendChild(container);
         
-        return { trend, change: Math.round(change * 100) / 100 };
+        try {
+            this.createHistoricalChart(containerId, chartId, historicalData, { ...options, static: true });
+            return this.toPNG(chartId);
+        } finally {
+            this.destroyChart(chartId);
+            container.remove();
+        }
     }
 
     /**
@@ -0,0 +1,24 @@
+/**
+ * Headless entry point: the data, parsing and analytics modules, none of which touch the DOM
+ * Works in the browser and in Node, e.g.
+ *   import { DataService } from './core.js';
+ *   import { createFileFetch } from './fileFetch.js';
+ *   const data = new DataService({ baseUrl: '', fetch: createFileFetch('.') });
+ */
+
+export { AnomalyService } from './anomalyService.js';
+export { ApiService } from './apiService.js';
+export { CacheService, MemoryCacheStore } from './cacheService.js';
+export { CategoryService } from './categoryService.js';
+export { DataService } from './dataService.js';
+export { DiffService } from './diffService.js';
+export { DurationService } from './durationService.js';
+export { EstimatorService } from './estimatorService.js';
+export { FeedService } from './feedService.js';
+export { ForecastService } from './forecastService.js';
+export { HistoryService } from './historyService.js';
+export { I18nService } from './i18nService.js';
+export { InCanadaService } from './inCanadaService.js';
+export { formatIsoWeek, isoWeekToDate, shiftIsoWeek } from './isoWeek.js';
+export { QueryService } from './queryService.js';
+export { ValidationService } from './validationService.js';
@@ -1,13 +1,48 @@
+import { CacheService } from './cacheService.js';
+import { DurationService } from './durationService.js';
+import { getWeekNumber, formatIsoWeek, isoWeekToDate, shiftIsoWeek } from './isoWeek.js';
+
 /**
  * DataService - Handles all data fetching and processing for IRCC processing times
+ * Has no DOM access; pass options.fetch (e.g. createFileFetch from fileFetch.js)
+ * and options.baseUrl to read the files from somewhere other than GitHub
  */
-class DataService {
-    constructor() {
-        this.baseUrl = "https://raw.githubusercontent.com/caipsnotes/ircc-processing-times/main";
+export class DataService {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl !== undefined ? options.baseUrl : "https://raw.githubusercontent.com/caipsnotes/ircc-processing-times/main";
+        // Looked up on each call so a fetch installed after construction is used
+        this.fetch = options.fetch || (url => fetch(url));
         this.cache = new Map();
+        // URLs in the in-memory cache that never change (weekly snapshots)
+        this.immutableUrls = new Set();
+        this.persistentCache = options.persistentCache || new CacheService();
+        this.durationService = options.durationService || new DurationService();
+        this.cacheFallbacks = new Set();
+        this.language = options.language || 'en';
+        this.languageFallbacks = new Set();
         this.countries = null;
         this.currentData = null;
+        this.inCanadaData = null;
         this.weeklyData = [];
+        this.snapshotTypes = ['processing-times', 'in-canada-services', 'country-names'];
+        this.snapshots = this.createSnapshotStore();
+        this.seriesCache = new WeakMap();
+        this.fetchOptions = {
+            concurrency: 6,
+            retries: 2,
+            retryDelay: 500
+        };
+    }
+
+    /**
+     * Create an empty snapshot store with one series per file type, keyed by ISO week
+     */
+    createSnapshotStore() {
+        const store = {};
+        this.snapshotTypes.forEach(type => {
+            store[type] = new Map();
+        });
+        return store;
     }
 
     /**
@@ -15,35 +50,76 @@ class DataService {
      */
     async initialize() {
         try {
-            const [countriesData, currentData] = await Promise.all([
+            const [countriesData, currentData, inCanadaData] = await Promise.all([
                 this.fetchCountries(),
-                this.fetchCurrentData()
+                this.fetchCurrentData(),
+                this.fetchInCanadaData()
             ]);
             
             this.countries = countriesData;
             this.currentData = currentData;
+            this.inCanadaData = inCanadaData;
             
-            return { countries: this.countries, current: this.currentData };
+            return { countries: this.countries, current: this.currentData, inCanada: this.inCanadaData };
         } catch (error) {
             console.error("Failed to initialize DataService:", error);
             throw error;
         }
     }
 
+    /**
+     * Switch the language of the current data files and reload them
+     */
+    async setLanguage(language) {
+        this.language = language;
+        this.languageFallbacks.clear();
+        return this.initialize();
+    }
+
+    /**
+     * Whether any current data file fell back to English
+     */
+    isUsingLanguageFallback() {
+        return this.languageFallbacks.size > 0;
+    }
+
+    /**
+     * Fetch an IRCC data file in the current language, falling back to English
+     */
+    async fetchLocalized(name) {
+        const url = `${this.baseUrl}/data/data-${name}-${this.language}.json`;
+        if (this.language === 'en') {
+            return this.fetchWithCache(url);
+        }
+        
+        try {
+            return await this.fetchWithCache(url);
+        } catch (error) {
+            console.warn(`No ${this.language} copy of data-${name}, using English: ${error.message}`);
+            this.languageFallbacks.add(name);
+            return this.fetchWithCache(`${this.baseUrl}/data/data-${name}-en.json`);
+        }
+    }
+
     /**
      * Fetch country names
      */
     async fetchCountries() {
-        const url = `${this.baseUrl}/data/data-country-name-en.json`;
-        return this.fetchWithCache(url);
+        return this.fetchLocalized('country-name');
     }
 
     /**
      * Fetch current processing times
      */
     async fetchCurrentData() {
-        const url = `${this.baseUrl}/data/data-ptime-en.json`;
-        return this.fetchWithCache(url);
+        return this.fetchLocalized('ptime');
+    }
+
+    /**
+     * Fetch current in-Canada services processing times
+     */
+    async fetchInCanadaData() {
+        return this.fetchLocalized('ptime-non-country');
     }
 
     /**
@@ -52,18 +128,24 @@ class DataService {
     async fetchWeeklyIndex() {
         const url = `${this.baseUrl}/weekly/index.json`;
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                console.warn("Weekly index not available, generating from known pattern");
-                return this.generateWeeklyFileList();
-            }
-            return await response.json();
+            return this.getIndexFilenames(await this.fetchWithCache(url));
         } catch (error) {
             console.warn("Error fetching weekly index, using fallback:", error);
             return this.generateWeeklyFileList();
         }
     }
 
+    /**
+     * List the file names in a weekly index
+     * 
+     * Older indexes are a plain array of names; the snapshot builder writes
+     * { version, retentionWeeks, files: [{ file, isoWeek, type, ... }] }.
+     */
+    getIndexFilenames(index) {
+        if (Array.isArray(index)) return index;
+        return (index && Array.isArray(index.files) ? index.files : []).map(entry => entry.file);
+    }
+
     /**
      * Generate a list of potential weekly files (fallback when index.json doesn't exist)
      */
@@ -74,9 +156,10 @@ class DataService {
         // Generate last 52 weeks
         for (let i = 0; i < 52; i++) {
             const weekDate = new Date(currentDate.getTime() - (i * 7 * 24 * 60 * 60 * 1000));
-            const year = weekDate.getFullYear();
-            const week = this.getWeekNumber(weekDate);
-            files.push(`${year}-W${week.toString().padStart(2, '0')}.json`);
+            const isoWeek = this.formatIsoWeek(weekDate);
+            this.snapshotTypes.forEach(type => {
+                files.push(`${isoWeek}-${type}.json`);
+            });
         }
         
         return files.reverse(); // Oldest to newest
@@ -86,46 +169,68 @@ class DataService {
      * Get ISO week number
      */
     getWeekNumber(date) {
-        const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-        const dayNum = d.getUTCDay() || 7;
-        d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-        const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-        return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+        return getWeekNumber(date);
+    }
+
+    /**
+     * Format a date as an ISO week string (e.g. "2026-W20")
+     */
+    formatIsoWeek(date) {
+        return formatIsoWeek(date);
+    }
+
+    /**
+     * Get the Monday (UTC) of an ISO week string
+     */
+    isoWeekToDate(isoWeek) {
+        return isoWeekToDate(isoWeek);
+    }
+
+    /**
+     * Move an ISO week string forward or back by a number of weeks
+     */
+    shiftIsoWeek(isoWeek, weeks) {
+        return shiftIsoWeek(isoWeek, weeks);
     }
 
     /**
-     * Load weekly historical data
+     * Load weekly historical data for every snapshot type
+     * 
+     * onProgress is called after each file with { loaded, failed, total, filename }.
      */
-    async loadWeeklyData(maxWeeks = 52) {
+    async loadWeeklyData(maxWeeks = 52, { onProgress } = {}) {
         try {
             const weeklyFiles = await this.fetchWeeklyIndex();
-            const recentFiles = weeklyFiles.slice(-maxWeeks);
+            const selectedFiles = this.selectWeeklyFiles(weeklyFiles, maxWeeks);
             
-            this.weeklyData = [];
+            this.snapshots = this.createSnapshotStore();
             
-            for (const filename of recentFiles) {
-                try {
-                    const url = `${this.baseUrl}/weekly/${filename}`;
-                    const weekData = await fetch(url);
-                    
-                    if (weekData.ok) {
-                        const data = await weekData.json();
-                        const weekInfo = this.parseWeekFilename(filename);
-                        
-                        this.weeklyData.push({
-                            filename,
-                            ...weekInfo,
-                            data: data,
-                            timestamp: new Date(weekInfo.year, 0, 1 + (weekInfo.week - 1) * 7)
+            const tasks = selectedFiles.map(({ filename, ...weekInfo }) => async () => {
+                const url = `${this.baseUrl}/weekly/${filename}`;
+                const data = await this.fetchWithCache(url, { immutable: true });
+                this.addSnapshot(filename, weekInfo, data);
+                return filename;
+            });
+            
+            await this.runWithConcurrency(tasks, {
+                concurrency: this.fetchOptions.concurrency,
+                onSettled: (result, progress) => {
+                    const filename = selectedFiles[progress.index].filename;
+                    if (result.status === 'rejected') {
+                        console.warn(`Error loading weekly file ${filename}:`, result.reason);
+                    }
+                    if (onProgress) {
+                        onProgress({
+                            loaded: progress.fulfilled,
+                            failed: progress.rejected,
+                            total: progress.total,
+                            filename
                         });
                     }
-                } catch (error) {
-                    console.warn(`Error loading weekly file ${filename}:`, error);
                 }
-            }
+            });
             
-            // Sort by timestamp
-            this.weeklyData.sort((a, b) => a.timestamp - b.timestamp);
+            this.weeklyData = this.getProcessingTimeSnapshots();
             
             return this.weeklyData;
         } catch (error) {
@@ -135,32 +240,257 @@ class DataService {
     }
 
     /**
-     * Parse week filename to extract year and week number
+     * Run async tasks with at most `concurrency` in flight at once
+     * 
+     * Resolves with an array of settled results in task order; never rejects.
+     */
+    async runWithConcurrency(tasks, { concurrency = this.fetchOptions.concurrency, onSettled } = {}) {
+        const results = new Array(tasks.length);
+        const progress = { fulfilled: 0, rejected: 0, total: tasks.length, index: -1 };
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < tasks.length) {
+                const index = next++;
+                try {
+                    results[index] = { status: 'fulfilled', value: await tasks[index]() };
+                    progress.fulfilled++;
+                } catch (error) {
+                    results[index] = { status: 'rejected', reason: error };
+                    progress.rejected++;
+                }
+                
+                if (onSettled) {
+                    onSettled(results[index], { ...progress, index });
+                }
+            }
+        };
+        
+        const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        
+        return results;
+    }
+
+    /**
+     * Fetch JSON, retrying network errors and server errors with exponential backoff
+     * 
+     * Missing files (4xx other than 429) fail immediately since retrying will not help.
+     */
+    async fetchJsonWithRetry(url, { retries = this.fetchOptions.retries, retryDelay = this.fetchOptions.retryDelay } = {}) {
+        let lastError = null;
+        
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempt - 1)));
+            }
+            
+            let response;
+            try {
+                response = await this.fetch(url);
+            } catch (error) {
+                lastError = error;
+                continue;
+            }
+            
+            if (response.ok) {
+                return response.json();
+            }
+            
+            lastError = new Error(`Failed to fetch ${url}: ${response.status}`);
+            if (response.status < 500 && response.status !== 429) {
+                break;
+            }
+        }
+        
+        throw lastError;
+    }
+
+    /**
+     * Pick the newest maxWeeks files of each snapshot type, preferring suffixed
+     * files over legacy un-suffixed ones for the same week
+     */
+    selectWeeklyFiles(weeklyFiles, maxWeeks = 52) {
+        const byType = {};
+        this.snapshotTypes.forEach(type => {
+            byType[type] = new Map();
+        });
+        
+        weeklyFiles.forEach(filename => {
+            const weekInfo = this.parseWeekFilename(filename);
+            if (!weekInfo.year || !weekInfo.week || !byType[weekInfo.type]) {
+                return;
+            }
+            
+            const existing = byType[weekInfo.type].get(weekInfo.isoWeek);
+            if (existing && !existing.legacy) {
+                return;
+            }
+            
+            byType[weekInfo.type].set(weekInfo.isoWeek, { filename, ...weekInfo });
+        });
+        
+        return Object.values(byType).flatMap(files =>
+            Array.from(files.values())
+                .sort((a, b) => a.isoWeek.localeCompare(b.isoWeek))
+                .slice(-maxWeeks)
+        );
+    }
+
+    /**
+     * Add a loaded weekly file to its series in the snapshot store
+     */
+    addSnapshot(filename, weekInfo, data) {
+        const series = this.snapshots[weekInfo.type];
+        if (!series) return null;
+        
+        const snapshot = {
+            filename,
+            ...weekInfo,
+            data: data,
+            timestamp: new Date(weekInfo.year, 0, 1 + (weekInfo.week - 1) * 7)
+        };
+        
+        series.set(weekInfo.isoWeek, snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Parse week filename to extract year, week number and snapshot type
+     * 
+     * Legacy files without a type suffix (e.g. 2025-W36.json) are processing-time snapshots.
      */
     parseWeekFilename(filename) {
-        // Updated regex to handle descriptive filenames
-        const match = filename.match(/(\d{4})-W(\d{2})(?:-.*)?\.json/);
+        const match = filename.match(/(\d{4})-W(\d{2})(?:-([a-z-]+))?\.json$/);
         if (match) {
+            const type = match[3] || 'processing-times';
             return {
                 year: parseInt(match[1]),
-                week: parseInt(match[2])
+                week: parseInt(match[2]),
+                isoWeek: `${match[1]}-W${match[2]}`,
+                type: this.snapshotTypes.includes(type) ? type : null,
+                legacy: !match[3]
             };
         }
-        return { year: null, week: null };
+        return { year: null, week: null, isoWeek: null, type: null, legacy: false };
     }
 
     /**
-     * Get processing times for a specific country
+     * Get all snapshots of a type, oldest first
      */
-    getCountryData(countryCode) {
-        if (!this.currentData) return null;
+    getSnapshotSeries(type) {
+        const series = this.snapshots[type];
+        if (!series) return [];
+        
+        return Array.from(series.values()).sort((a, b) => a.isoWeek.localeCompare(b.isoWeek));
+    }
+
+    /**
+     * Get a single snapshot by type and ISO week (e.g. "2026-W20")
+     */
+    getSnapshot(type, isoWeek) {
+        const series = this.snapshots[type];
+        return series ? series.get(isoWeek) || null : null;
+    }
+
+    /**
+     * Get the ISO weeks available for a snapshot type, oldest first
+     */
+    getAvailableWeeks(type) {
+        return this.getSnapshotSeries(type).map(snapshot => snapshot.isoWeek);
+    }
+
+    /**
+     * Get the ISO week of the current data, from its lastupdated date when it parses
+     */
+    getCurrentIsoWeek() {
+        const lastUpdated = this.getLastUpdatedDate();
+        if (lastUpdated) {
+            return this.formatIsoWeek(lastUpdated);
+        }
+        
+        const series = this.getProcessingTimeSnapshots();
+        return series.length > 0 ? series[series.length - 1].isoWeek : this.formatIsoWeek(new Date());
+    }
+
+    /**
+     * Get weekly processing-time snapshots, oldest first
+     */
+    getProcessingTimeSnapshots() {
+        return this.getSnapshotSeries('processing-times');
+    }
+
+    /**
+     * Get weekly in-Canada services snapshots, oldest first
+     */
+    getInCanadaSnapshots() {
+        return this.getSnapshotSeries('in-canada-services');
+    }
+
+    /**
+     * Get weekly country-name snapshots, oldest first
+     */
+    getCountryNameSnapshots() {
+        return this.getSnapshotSeries('country-names');
+    }
+
+    /**
+     * Build the key of a sub-measure series, e.g. refugees_private.sponsor
+     */
+    getSeriesKey(category, subMeasure) {
+        return `${category}.${subMeasure}`;
+    }
+
+    /**
+     * Flatten processing times into one series per category or sub-measure
+     * 
+     * Categories whose country values are objects (refugees_private maps each
+     * country to { sponsor, refugee }) become one series per sub-measure, keyed
+     * category.subMeasure, so every series maps countries to a single value.
+     */
+    getSeriesData(data = this.currentData) {
+        if (!data) return {};
+        if (this.seriesCache.has(data)) return this.seriesCache.get(data);
+        
+        const series = {};
+        Object.entries(data).forEach(([category, countries]) => {
+            if (!countries || typeof countries !== 'object') return;
+            
+            Object.entries(countries).forEach(([countryCode, value]) => {
+                if (countryCode === 'lastupdated') return;
+                
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.entries(value).forEach(([subMeasure, subValue]) => {
+                        const key = this.getSeriesKey(category, subMeasure);
+                        (series[key] = series[key] || {})[countryCode] = subValue;
+                    });
+                } else {
+                    (series[category] = series[category] || {})[countryCode] = value;
+                }
+            });
+        });
         
+        this.seriesCache.set(data, series);
+        return series;
+    }
+
+    /**
+     * List the current series keys in file order
+     */
+    getSeriesKeys() {
+        return Object.keys(this.getSeriesData());
+    }
+
+    /**
+     * Get current processing times for a specific country, one entry per series
+     */
+    getCountryData(countryCode) {
         const countryData = {};
         let hasData = false;
         
-        Object.entries(this.currentData).forEach(([category, countries]) => {
+        Object.entries(this.getSeriesData()).forEach(([seriesKey, countries]) => {
             if (countries[countryCode]) {
-                countryData[category] = countries[countryCode];
+                countryData[seriesKey] = countries[countryCode];
                 hasData = true;
             }
         });
@@ -168,37 +498,114 @@ class DataService {
         return hasData ? countryData : null;
     }
 
+    /**
+     * Rank every country for a series by its current processing time
+     * 
+     * Each row has the raw value, its parsed duration and the change in days since
+     * the previous update and the one twelve updates back.
+     */
+    getCategoryRanking(category) {
+        const categoryData = this.getSeriesData()[category];
+        if (!categoryData) return [];
+        
+        const countries = this.getCountries() || {};
+        const updates = this.getEarlierUpdates();
+        const weekAgo = updates[0] || null;
+        const quarterAgo = updates[11] || null;
+        
+        return Object.entries(categoryData)
+            .map(([countryCode, value]) => {
+                const duration = this.durationService.parse(value);
+                return {
+                    country: countryCode,
+                    name: countries[countryCode] || countryCode,
+                    value,
+                    duration,
+                    weekChange: this.getChangeInDays(duration, weekAgo, category, countryCode),
+                    quarterChange: this.getChangeInDays(duration, quarterAgo, category, countryCode)
+                };
+            });
+    }
+
+    /**
+     * Get one processing-time snapshot per update published before the current data, newest first
+     * 
+     * Snapshots are matched by lastupdated rather than ISO week: a snapshot is taken
+     * before IRCC's next update, so the W20 file holds the data the current W20 data
+     * replaced. Empty when the current lastupdated does not parse.
+     */
+    getEarlierUpdates() {
+        const current = this.getLastUpdatedDate();
+        if (!current) return [];
+        
+        const seen = new Set();
+        return this.getProcessingTimeSnapshots()
+            .slice()
+            .reverse()
+            .filter(snapshot => {
+                const date = this.parseLastUpdated(this.extractLastUpdated(snapshot.data));
+                if (!date || date >= current || seen.has(date.getTime())) return false;
+                seen.add(date.getTime());
+                return true;
+            });
+    }
+
+    /**
+     * Count the countries with a usable processing time for a series
+     * 
+     * Returns the number of countries listed and the ones whose value parses to
+     * a duration, sorted by name.
+     */
+    getSeriesCoverage(category) {
+        const ranking = this.getCategoryRanking(category);
+        const withData = ranking
+            .filter(row => row.duration.days !== null)
+            .map(row => ({ country: row.country, name: row.name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
+        return { total: ranking.length, withData };
+    }
+
+    /**
+     * Difference in days between a duration and a country's value in an older snapshot
+     */
+    getChangeInDays(duration, snapshot, category, countryCode) {
+        if (duration.days === null || !snapshot) return null;
+        
+        const previousSeries = this.getSeriesData(snapshot.data)[category];
+        if (!previousSeries) return null;
+        
+        const previous = this.durationService.toNormalizedDays(previousSeries[countryCode]);
+        return previous === null ? null : duration.days - previous;
+    }
+
     /**
      * Get historical data for a specific country and category
      */
     getHistoricalData(countryCode, category = null) {
         const historicalData = [];
         
-        this.weeklyData.forEach(weekData => {
-            // Skip if year or week is null
-            if (!weekData.year || !weekData.week) {
-                console.warn(`Skipping invalid week data:`, weekData.filename);
-                return;
-            }
+        this.getProcessingTimeSnapshots().forEach(weekData => {
+            const seriesData = this.getSeriesData(weekData.data);
             
             if (category) {
-                // Get specific category data
-                if (weekData.data[category] && weekData.data[category][countryCode]) {
+                // Get specific series data
+                if (seriesData[category] && seriesData[category][countryCode]) {
                     historicalData.push({
                         date: weekData.timestamp,
-                        week: `${weekData.year}-W${weekData.week.toString().padStart(2, '0')}`,
+                        week: weekData.isoWeek,
                         category: category,
                         country: countryCode,
-                        data: weekData.data[category][countryCode]
+                        data: seriesData[category][countryCode]
                     });
                 }
             } else {
-                // Get all categories for this country
-                Object.entries(weekData.data).forEach(([cat, countries]) => {
+                // Get all series for this country
+                Object.entries(seriesData).forEach(([cat, countries]) => {
                     if (countries[countryCode]) {
                         historicalData.push({
                             date: weekData.timestamp,
-                            week: `${weekData.year}-W${weekData.week.toString().padStart(2, '0')}`,
+                            week: weekData.isoWeek,
                             category: cat,
                             country: countryCode,
                             data: countries[countryCode]
@@ -211,14 +618,106 @@ class DataService {
         return historicalData;
     }
 
+    /**
+     * Get a country/category history as normalized points ({ x, y, week, rawData }), oldest first
+     * 
+     * Weeks whose value has no duration (e.g. "Not enough data") are left out.
+     */
+    getNormalizedSeries(countryCode, category) {
+        return this.getHistoricalData(countryCode, category)
+            .map(entry => ({
+                x: entry.date,
+                y: this.durationService.toNormalizedDays(entry.data),
+                week: entry.week,
+                rawData: entry.data
+            }))
+            .filter(point => point.y !== null);
+    }
+
+    /**
+     * List current in-Canada services as { category, service, value }
+     */
+    getInCanadaServices() {
+        if (!this.inCanadaData) return [];
+        
+        return Object.entries(this.inCanadaData)
+            .filter(([category]) => category !== 'default-update')
+            .flatMap(([category, services]) =>
+                Object.entries(services).map(([service, value]) => ({ category, service, value }))
+            );
+    }
+
+    /**
+     * Get the current processing time of an in-Canada service
+     */
+    getServiceValue(serviceKey) {
+        const match = this.getInCanadaServices().find(entry => entry.service === serviceKey);
+        return match ? match.value : null;
+    }
+
+    /**
+     * Get an in-Canada service history as normalized points ({ x, y, week, rawData }), oldest first
+     */
+    getServiceSeries(serviceKey) {
+        const points = [];
+        
+        this.getInCanadaSnapshots().forEach(snapshot => {
+            Object.entries(snapshot.data)
+                .filter(([category]) => category !== 'default-update')
+                .forEach(([, services]) => {
+                    if (services[serviceKey] === undefined) return;
+                    
+                    const days = this.durationService.toNormalizedDays(services[serviceKey]);
+                    if (days !== null) {
+                        points.push({ x: snapshot.timestamp, y: days, week: snapshot.isoWeek, rawData: services[serviceKey] });
+                    }
+                });
+        });
+        
+        return points;
+    }
+
     /**
      * Extract last updated timestamp from data
      */
     getLastUpdated() {
-        if (!this.currentData) return null;
+        return this.extractLastUpdated(this.currentData);
+    }
+
+    /**
+     * Parse the lastupdated value into a Date, or null when it does not parse
+     */
+    getLastUpdatedDate() {
+        return this.parseLastUpdated(this.getLastUpdated());
+    }
+
+    /**
+     * Parse an IRCC lastupdated string ("May 13, 2026" or "13 mai 2026")
+     */
+    parseLastUpdated(text) {
+        if (!text) return null;
+        
+        const frenchMonths = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
+        const french = String(text).toLowerCase().match(/^(\d{1,2})(?:er)?\s+([a-zéû]+)\s+(\d{4})$/);
+        if (french && frenchMonths.includes(french[2])) {
+            return new Date(parseInt(french[3]), frenchMonths.indexOf(french[2]), parseInt(french[1]));
+        }
         
-        for (const category of Object.values(this.currentData)) {
-            if (category.lastupdated) {
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Find the lastupdated value in any IRCC data file
+     * 
+     * Processing-time files repeat it inside each category; the in-Canada file
+     * keeps it under "default-update".
+     */
+    extractLastUpdated(data) {
+        if (!data || typeof data !== 'object') return null;
+        
+        for (const category of Object.values(data)) {
+            if (category && category.lastupdated) {
                 return category.lastupdated;
             }
         }
@@ -226,28 +725,79 @@ class DataService {
     }
 
     /**
-     * Fetch with simple caching
+     * Fetch with two-tier caching (in-memory and persistent)
+     * 
+     * Immutable files (weekly snapshots) are served from the persistent cache once
+     * stored. Other files are fetched and revalidated against the cached copy's
+     * lastupdated value, falling back to the cached copy when offline.
      */
-    async fetchWithCache(url) {
+    async fetchWithCache(url, { immutable = false } = {}) {
         if (this.cache.has(url)) {
             return this.cache.get(url);
         }
         
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        const cached = await this.persistentCache.get(url);
+        if (cached && cached.immutable) {
+            this.cache.set(url, cached.data);
+            this.immutableUrls.add(url);
+            return cached.data;
+        }
+        
+        let data;
+        try {
+            data = await this.fetchJsonWithRetry(url);
+        } catch (error) {
+            if (!cached) {
+                throw error;
+            }
+            console.warn(`Using cached copy of ${url}:`, error);
+            this.cacheFallbacks.add(url);
+            this.cache.set(url, cached.data);
+            return cached.data;
+        }
+        
+        const lastUpdated = this.extractLastUpdated(data);
+        if (immutable || !cached || lastUpdated === null || cached.lastUpdated !== lastUpdated) {
+            await this.persistentCache.set(url, data, { immutable, lastUpdated });
         }
         
-        const data = await response.json();
         this.cache.set(url, data);
+        if (immutable) {
+            this.immutableUrls.add(url);
+        }
         return data;
     }
 
     /**
-     * Clear cache
+     * Whether any data currently shown came from the cache because the network failed
+     */
+    isUsingCachedData() {
+        return this.cacheFallbacks.size > 0;
+    }
+
+    /**
+     * Reload the current files, revalidating every mutable file against the network
+     * 
+     * Only the in-memory copies of data/*.json and the weekly index are dropped.
+     * Persistent copies are replaced once a fetch succeeds, so a refresh while
+     * offline keeps the cached data, and weekly snapshots are not downloaded again.
+     */
+    async refresh() {
+        Array.from(this.cache.keys())
+            .filter(url => !this.immutableUrls.has(url))
+            .forEach(url => this.cache.delete(url));
+        this.cacheFallbacks.clear();
+        return this.initialize();
+    }
+
+    /**
+     * Clear both the in-memory and persistent caches, weekly snapshots included
      */
-    clearCache() {
+    async clearCache() {
         this.cache.clear();
+        this.immutableUrls.clear();
+        this.cacheFallbacks.clear();
+        await this.persistentCache.clear();
     }
 
     /**
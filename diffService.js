@@ -0,0 +1,129 @@
+import { DurationService } from './durationService.js';
+
+/**
+ * DiffService - Compares two weekly snapshots and reports what moved
+ */
+export class DiffService {
+    constructor(durationService = new DurationService()) {
+        this.durationService = durationService;
+        this.metadataKeys = ['lastupdated', 'default-update'];
+    }
+
+    /**
+     * Compare two processing-time snapshots ({ category: { countryCode: value } })
+     *
+     * Returns changed values plus categories and countries that were added or removed.
+     */
+    diffProcessingTimes(before, after) {
+        return this.diffNested(before, after, 'country');
+    }
+
+    /**
+     * Compare two in-Canada services snapshots ({ category: { serviceKey: value } })
+     */
+    diffInCanadaServices(before, after) {
+        return this.diffNested(before, after, 'service');
+    }
+
+    /**
+     * Compare two category -> item -> value maps
+     */
+    diffNested(before = {}, after = {}, itemName = 'item') {
+        const result = {
+            changes: [],
+            addedCategories: [],
+            removedCategories: [],
+            addedItems: [],
+            removedItems: []
+        };
+
+        const beforeCategories = this.getKeys(before);
+        const afterCategories = this.getKeys(after);
+
+        result.addedCategories = afterCategories.filter(category => !beforeCategories.includes(category));
+        result.removedCategories = beforeCategories.filter(category => !afterCategories.includes(category));
+
+        afterCategories
+            .filter(category => beforeCategories.includes(category))
+            .forEach(category => {
+                const beforeItems = before[category] || {};
+                const afterItems = after[category] || {};
+                const beforeKeys = this.getKeys(beforeItems);
+                const afterKeys = this.getKeys(afterItems);
+
+                afterKeys.forEach(key => {
+                    if (!beforeKeys.includes(key)) {
+                        result.addedItems.push({ category, [itemName]: key, value: afterItems[key] });
+                        return;
+                    }
+
+                    const change = this.compareValues(beforeItems[key], afterItems[key]);
+                    if (change) {
+                        result.changes.push({ category, [itemName]: key, ...change });
+                    }
+                });
+
+                beforeKeys
+                    .filter(key => !afterKeys.includes(key))
+                    .forEach(key => {
+                        result.removedItems.push({ category, [itemName]: key, value: beforeItems[key] });
+                    });
+            });
+
+        // Largest moves first
+        result.changes.sort((a, b) => Math.abs(b.change || 0) - Math.abs(a.change || 0));
+
+        return result;
+    }
+
+    /**
+     * Compare two raw values, returning null when the normalized time did not change
+     *
+     * direction is 'increase' or 'decrease' when both values are durations, and
+     * 'status' when one side is a sentinel such as "Not enough data".
+     */
+    compareValues(beforeValue, afterValue) {
+        if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+            return null;
+        }
+
+        const beforeDays = this.durationService.toNormalizedDays(beforeValue);
+        const afterDays = this.durationService.toNormalizedDays(afterValue);
+
+        if (beforeDays !== null && afterDays !== null) {
+            const change = afterDays - beforeDays;
+            // "4 weeks" -> "28 days" is a format change, not a move
+            if (Math.abs(change) < 0.01) {
+                return null;
+            }
+
+            return {
+                before: beforeValue,
+                after: afterValue,
+                beforeDays,
+                afterDays,
+                change,
+                percentChange: beforeDays > 0 ? (change / beforeDays) * 100 : null,
+                direction: change > 0 ? 'increase' : 'decrease'
+            };
+        }
+
+        return {
+            before: beforeValue,
+            after: afterValue,
+            beforeDays,
+            afterDays,
+            change: null,
+            percentChange: null,
+            direction: 'status'
+        };
+    }
+
+    /**
+     * Get the keys of a map, excluding metadata such as lastupdated
+     */
+    getKeys(map) {
+        if (!map || typeof map !== 'object') return [];
+        return Object.keys(map).filter(key => !this.metadataKeys.includes(key));
+    }
+}
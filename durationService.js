@@ -0,0 +1,106 @@
+/**
+ * DurationService - Parses IRCC processing time strings into normalized durations
+ */
+export class DurationService {
+    constructor() {
+        // Days per unit, using calendar averages for months and years
+        this.unitDays = {
+            minute: 1 / 1440,
+            hour: 1 / 24,
+            day: 1,
+            week: 7,
+            month: 30.44,
+            year: 365.25
+        };
+
+        // Unit words in IRCC's English and French files
+        this.unitAliases = {
+            minute: 'minute', minutes: 'minute',
+            hour: 'hour', hours: 'hour', heure: 'hour', heures: 'hour',
+            day: 'day', days: 'day', jour: 'day', jours: 'day',
+            week: 'week', weeks: 'week', semaine: 'week', semaines: 'week',
+            month: 'month', months: 'month', mois: 'month',
+            year: 'year', years: 'year', an: 'year', ans: 'year', 'année': 'year', 'années': 'year'
+        };
+
+        // Sentinel strings IRCC uses in place of a duration
+        this.sentinels = {
+            'not enough data': 'insufficient-data',
+            'no processing time available': 'unavailable',
+            'pas assez de données': 'insufficient-data',
+            'aucun délai de traitement disponible': 'unavailable'
+        };
+    }
+
+    /**
+     * Parse a processing time value into a structured duration
+     *
+     * Returns { raw, label, amount, unit, days, status } where status is one of
+     * 'ok', 'insufficient-data', 'unavailable' or 'unparsed'.
+     */
+    parse(value) {
+        const result = {
+            raw: value,
+            label: null,
+            amount: null,
+            unit: null,
+            days: null,
+            status: 'unparsed'
+        };
+
+        if (typeof value === 'number') {
+            return { ...result, amount: value, unit: 'day', days: value, status: 'ok' };
+        }
+
+        if (typeof value !== 'string') {
+            return result;
+        }
+
+        let text = value.trim();
+
+        const sentinel = this.sentinels[text.toLowerCase()];
+        if (sentinel) {
+            return { ...result, status: sentinel };
+        }
+
+        // Strip prefixed labels such as "Part 1: 5 months" or "Partie 1 : 5 mois"
+        const labelMatch = text.match(/^([^:]+?)\s*:\s*(.+)$/);
+        if (labelMatch) {
+            result.label = labelMatch[1].trim();
+            text = labelMatch[2];
+        }
+
+        const match = text.match(/^(\d+(?:[.,]\d+)?)\s*([a-zé]+)$/i);
+        const unit = match ? this.unitAliases[match[2].toLowerCase()] : null;
+        if (!unit) {
+            return result;
+        }
+
+        const amount = parseFloat(match[1].replace(',', '.'));
+
+        return {
+            ...result,
+            amount,
+            unit,
+            days: this.toDays(amount, unit),
+            status: 'ok'
+        };
+    }
+
+    /**
+     * Convert an amount in the given unit to days
+     */
+    toDays(amount, unit) {
+        if (amount === null || amount === undefined || !unit) return null;
+
+        const perUnit = this.unitDays[this.unitAliases[unit.toLowerCase()] || unit.toLowerCase()];
+        return perUnit === undefined ? null : amount * perUnit;
+    }
+
+    /**
+     * Parse a value and return normalized days, or null when it has no duration
+     */
+    toNormalizedDays(value) {
+        return this.parse(value).days;
+    }
+}
@@ -0,0 +1,26 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    {
+        ignores: ['api/', 'weekly/', 'data/', 'maps/', 'node_modules/']
+    },
+    js.configs.recommended,
+    {
+        // Browser modules; Chart.js and jsPDF load as globals from the CDN scripts in index.html
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: { ...globals.browser, Chart: 'readonly', jspdf: 'readonly' }
+        },
+        rules: {
+            'no-unused-vars': ['warn', { args: 'none', caughtErrors: 'none' }]
+        }
+    },
+    {
+        files: ['scripts/**/*.js', 'test/**/*.js', 'fileFetch.js', 'eslint.config.js'],
+        languageOptions: {
+            globals: globals.node
+        }
+    }
+];
@@ -0,0 +1,91 @@
+/**
+ * EstimatorService - Estimates when an application submitted on a given date will be decided
+ * Combines the currently posted processing time with recent weekly history
+ */
+export class EstimatorService {
+    constructor(options = {}) {
+        this.recentWeeks = options.recentWeeks || 12;
+        this.bestPercentile = options.bestPercentile || 10;
+        this.worstPercentile = options.worstPercentile || 90;
+    }
+
+    /**
+     * Percentile of a list of numbers using linear interpolation
+     */
+    percentile(values, p) {
+        if (values.length === 0) return null;
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    /**
+     * Add a number of days to a date
+     */
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + Math.round(days));
+        return result;
+    }
+
+    /**
+     * Whole calendar days from one local date to another, so a daylight saving
+     * change in between does not drop a day
+     */
+    daysBetween(from, to) {
+        const utc = date => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.round((utc(to) - utc(from)) / 86400000);
+    }
+
+    /**
+     * Estimate a decision window
+     *
+     * currentDays is the posted processing time in days, history the weekly points
+     * ({ y, week }, oldest first) and submissionWeek the ISO week of submissionDate.
+     * Returns best, typical and worst { days, date } plus how the posted time has
+     * drifted since the application was submitted.
+     */
+    estimate({ currentDays, history = [], submissionDate, submissionWeek, today = new Date() }) {
+        if (currentDays === null || currentDays === undefined || !submissionDate) {
+            return null;
+        }
+
+        const recent = history.slice(-this.recentWeeks).map(point => point.y);
+        const sample = recent.concat(currentDays);
+
+        const bestDays = Math.min(currentDays, this.percentile(sample, this.bestPercentile));
+        const worstDays = Math.max(currentDays, this.percentile(sample, this.worstPercentile));
+
+        const elapsedDays = Math.max(0, this.daysBetween(submissionDate, today));
+
+        return {
+            submissionDate,
+            elapsedDays,
+            best: { days: bestDays, date: this.addDays(submissionDate, bestDays) },
+            typical: { days: currentDays, date: this.addDays(submissionDate, currentDays) },
+            worst: { days: worstDays, date: this.addDays(submissionDate, worstDays) },
+            remainingDays: Math.max(0, Math.round(currentDays - elapsedDays)),
+            drift: this.calculateDrift(history, submissionWeek, currentDays),
+            sampleSize: sample.length
+        };
+    }
+
+    /**
+     * Compare the posted time in the submission week with the current one
+     */
+    calculateDrift(history, submissionWeek, currentDays) {
+        if (!submissionWeek) return null;
+
+        const atSubmission = history.filter(point => point.week <= submissionWeek).pop();
+        if (!atSubmission) return null;
+
+        return {
+            week: atSubmission.week,
+            days: atSubmission.y,
+            change: currentDays - atSubmission.y
+        };
+    }
+}
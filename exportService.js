@@ -0,0 +1,86 @@
+import { DurationService } from './durationService.js';
+
+/**
+ * ExportService - Builds tidy rows from processing time data and downloads them as CSV or JSON
+ */
+export class ExportService {
+    constructor(durationService = new DurationService()) {
+        this.durationService = durationService;
+        this.columns = ['week', 'country_code', 'country_name', 'category', 'raw', 'normalized_days', 'status'];
+    }
+
+    /**
+     * Build one tidy row, parsing the raw value into normalized days and a status
+     */
+    createRow({ week, countryCode = '', countryName = '', category, raw }) {
+        const duration = this.durationService.parse(raw);
+        return {
+            week,
+            country_code: countryCode,
+            country_name: countryName,
+            category,
+            raw: raw !== null && typeof raw === 'object' ? JSON.stringify(raw) : raw,
+            normalized_days: duration.days === null ? null : Math.round(duration.days * 100) / 100,
+            status: duration.status
+        };
+    }
+
+    /**
+     * Serialize rows as CSV
+     *
+     * Uses CRLF line endings and a UTF-8 byte order mark so Excel opens accented
+     * country names correctly.
+     */
+    toCSV(rows) {
+        const lines = [this.columns.join(',')];
+        rows.forEach(row => {
+            lines.push(this.columns.map(column => this.escapeCSV(row[column])).join(','));
+        });
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serialize rows as a JSON array of records
+     */
+    toJSON(rows) {
+        return JSON.stringify(rows, null, 2);
+    }
+
+    /**
+     * Download rows in the given format ('csv' or 'json')
+     */
+    exportRows(rows, filename, format = 'csv') {
+        if (format === 'json') {
+            this.download(`${filename}.json`, this.toJSON(rows), 'application/json');
+        } else {
+            this.download(`${filename}.csv`, this.toCSV(rows), 'text/csv;charset=utf-8');
+        }
+    }
+
+    /**
+     * Trigger a browser download of text or a Blob
+     */
+    download(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
@@ -0,0 +1,234 @@
+import { DataService } from './dataService.js';
+import { CategoryService } from './categoryService.js';
+import { DiffService } from './diffService.js';
+
+/**
+ * FeedService - Builds an Atom feed with one entry per weekly snapshot, listing what changed
+ * since the week before
+ * Has no DOM access; scripts/build-feed.js writes the feed files
+ */
+export class FeedService {
+    constructor(dataService = new DataService(), categoryService = new CategoryService(), options = {}) {
+        this.dataService = dataService;
+        this.categoryService = categoryService;
+        this.i18n = categoryService.i18n;
+        this.diffService = new DiffService(dataService.durationService);
+        if (!options.siteUrl) {
+            throw new Error('FeedService needs options.siteUrl, the dashboard URL the entries link to');
+        }
+        this.siteUrl = options.siteUrl;
+        this.feedUrl = options.feedUrl || 'https://raw.githubusercontent.com/caipsnotes/ircc-processing-times/main/feed.xml';
+        // Atom ids (RFC 4151 tag URIs), so entries keep their id when the dashboard moves
+        this.idPrefix = `tag:github.com,2025:caipsnotes/ircc-processing-times:${this.i18n.language}`;
+        this.maxEntries = options.maxEntries || 12;
+        // Country moves must reach both of these to be listed, so a day on a short
+        // visitor visa time is left out; status and in-Canada service changes are always listed
+        this.minChangeDays = 7;
+        this.minChangePercent = 10;
+    }
+
+    /**
+     * Build one entry per processing-times snapshot that has a snapshot the week before, newest first
+     *
+     * Each entry is { id, week, previousWeek, updated, link, times, services }, where
+     * times holds the diff and the significant changes grouped by category.
+     */
+    getEntries() {
+        const weeks = this.dataService.getAvailableWeeks('processing-times');
+        const entries = [];
+
+        for (let i = weeks.length - 1; i > 0 && entries.length < this.maxEntries; i--) {
+            entries.push(this.buildEntry(weeks[i - 1], weeks[i]));
+        }
+
+        return entries;
+    }
+
+    buildEntry(from, to) {
+        const beforeTimes = this.dataService.getSnapshot('processing-times', from);
+        const afterTimes = this.dataService.getSnapshot('processing-times', to);
+        const beforeServices = this.dataService.getSnapshot('in-canada-services', from);
+        const afterServices = this.dataService.getSnapshot('in-canada-services', to);
+
+        const times = this.diffService.diffProcessingTimes(
+            this.dataService.getSeriesData(beforeTimes.data),
+            this.dataService.getSeriesData(afterTimes.data)
+        );
+        const services = beforeServices && afterServices
+            ? this.diffService.diffInCanadaServices(beforeServices.data, afterServices.data)
+            : null;
+
+        const significant = {};
+        times.changes
+            .filter(change => this.isSignificant(change))
+            .forEach(change => {
+                (significant[change.category] = significant[change.category] || []).push(change);
+            });
+
+        const lastUpdated = this.dataService.parseLastUpdated(this.dataService.extractLastUpdated(afterTimes.data));
+
+        return {
+            id: this.getEntryId(from, to),
+            week: to,
+            previousWeek: from,
+            updated: lastUpdated || afterTimes.timestamp,
+            link: this.getDashboardUrl(from, to),
+            times: { diff: times, significant },
+            services
+        };
+    }
+
+    /**
+     * Whether a processing time change is listed in the feed
+     */
+    isSignificant(change) {
+        if (change.direction === 'status') return true;
+        return Math.abs(change.change) >= this.minChangeDays
+            && (change.percentChange === null || Math.abs(change.percentChange) >= this.minChangePercent);
+    }
+
+    /**
+     * Atom id of the entry for a pair of weeks
+     */
+    getEntryId(from, to) {
+        return `${this.idPrefix}:changes:${from}/${to}`;
+    }
+
+    /**
+     * Link to the dashboard changes tab for a pair of weeks
+     */
+    getDashboardUrl(from, to) {
+        return `${this.siteUrl}#${new URLSearchParams({ tab: 'changes', from, to }).toString()}`;
+    }
+
+    /**
+     * Serialize the feed as an Atom 1.0 document
+     */
+    toAtom(entries = this.getEntries()) {
+        const updated = entries.length > 0 ? entries[0].updated : new Date();
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${this.i18n.language}">`,
+            `  <title>${this.escapeXml(this.i18n.t('feed.title'))}</title>`,
+            `  <subtitle>${this.escapeXml(this.i18n.t('feed.subtitle'))}</subtitle>`,
+            `  <id>${this.escapeXml(`${this.idPrefix}:feed`)}</id>`,
+            `  <link rel="self" type="application/atom+xml" href="${this.escapeXml(this.feedUrl)}"/>`,
+            `  <link rel="alternate" type="text/html" href="${this.escapeXml(this.siteUrl)}"/>`,
+            `  <updated>${updated.toISOString()}</updated>`,
+            `  <author><name>${this.escapeXml(this.i18n.t('app.title'))}</name></author>`,
+            ...entries.map(entry => this.renderEntry(entry)),
+            '</feed>',
+            ''
+        ].join('\n');
+    }
+
+    renderEntry(entry) {
+        const counts = this.describeCounts(entry.times.diff);
+
+        return [
+            '  <entry>',
+            `    <title>${this.escapeXml(this.i18n.t('feed.entryTitle', { week: entry.week, counts }))}</title>`,
+            `    <id>${this.escapeXml(entry.id)}</id>`,
+            `    <link rel="alternate" type="text/html" href="${this.escapeXml(entry.link)}"/>`,
+            `    <updated>${entry.updated.toISOString()}</updated>`,
+            `    <summary>${this.escapeXml(this.i18n.t('changes.summaryTimes', { counts }))}</summary>`,
+            `    <content type="html">${this.escapeXml(this.renderContent(entry))}</content>`,
+            '  </entry>'
+        ].join('\n');
+    }
+
+    /**
+     * The entry body as HTML: significant country changes by category, then in-Canada services
+     */
+    renderContent(entry) {
+        const countries = this.dataService.getCountries() || {};
+        const html = [
+            `<p>${this.escapeXml(`${entry.previousWeek} → ${entry.week}`)}</p>`,
+            `<h2>${this.escapeXml(this.i18n.t('changes.byCountry'))}</h2>`
+        ];
+
+        const categories = Object.keys(entry.times.significant);
+        if (categories.length === 0) {
+            html.push(`<p>${this.escapeXml(this.i18n.t('feed.noSignificantChanges'))}</p>`);
+        }
+        categories.forEach(category => {
+            html.push(`<h3>${this.escapeXml(this.categoryService.label(category))}</h3>`, '<ul>');
+            entry.times.significant[category].forEach(change => {
+                const country = countries[change.country] || change.country;
+                html.push(`<li>${this.escapeXml(`${country}: ${this.describeChange(change)}`)}</li>`);
+            });
+            html.push('</ul>');
+        });
+
+        const structure = [
+            ...entry.times.diff.addedCategories.map(category => this.i18n.t('changes.categoryAdded', { category: this.categoryService.label(category) })),
+            ...entry.times.diff.removedCategories.map(category => this.i18n.t('changes.categoryRemoved', { category: this.categoryService.label(category) })),
+            ...entry.times.diff.addedItems.map(item => this.i18n.t('changes.countryAdded', { category: this.categoryService.label(item.category), country: countries[item.country] || item.country })),
+            ...entry.times.diff.removedItems.map(item => this.i18n.t('changes.countryRemoved', { category: this.categoryService.label(item.category), country: countries[item.country] || item.country }))
+        ];
+
+        html.push(`<h2>${this.escapeXml(this.i18n.t('changes.services'))}</h2>`);
+        if (!entry.services) {
+            html.push(`<p>${this.escapeXml(this.i18n.t('changes.noSnapshot'))}</p>`);
+        } else if (entry.services.changes.length === 0) {
+            html.push(`<p>${this.escapeXml(this.i18n.t('changes.noServiceChanges'))}</p>`);
+        } else {
+            html.push('<ul>');
+            entry.services.changes.forEach(change => {
+                const service = this.categoryService.serviceLabel(change.category, change.service);
+                html.push(`<li>${this.escapeXml(`${service}: ${this.describeChange(change)}`)}</li>`);
+            });
+            html.push('</ul>');
+        }
+
+        if (entry.services) {
+            structure.push(
+                ...entry.services.addedCategories.map(category => this.i18n.t('changes.serviceCategoryAdded', { category: this.categoryService.label(category) })),
+                ...entry.services.removedCategories.map(category => this.i18n.t('changes.serviceCategoryRemoved', { category: this.categoryService.label(category) })),
+                ...entry.services.addedItems.map(item => this.i18n.t('changes.serviceAdded', { service: this.categoryService.serviceLabel(item.category, item.service) })),
+                ...entry.services.removedItems.map(item => this.i18n.t('changes.serviceRemoved', { service: this.categoryService.serviceLabel(item.category, item.service) }))
+            );
+        }
+        if (structure.length > 0) {
+            html.push(`<h2>${this.escapeXml(this.i18n.t('changes.addedRemoved'))}</h2>`, '<ul>');
+            structure.forEach(line => html.push(`<li>${this.escapeXml(line)}</li>`));
+            html.push('</ul>');
+        }
+
+        html.push(`<p><a href="${this.escapeXml(entry.link)}">${this.escapeXml(this.i18n.t('feed.viewChanges'))}</a></p>`);
+        return html.join('\n');
+    }
+
+    /**
+     * Describe one change, e.g. "8 weeks → 10 weeks (+14 days)"
+     */
+    describeChange(change) {
+        const before = this.formatValue(change.before);
+        const after = this.formatValue(change.after);
+        if (change.direction === 'status') {
+            return `${before} → ${after} (${this.i18n.t('changes.statusChanged')})`;
+        }
+
+        const days = Math.round(change.change);
+        return `${before} → ${after} (${days > 0 ? '+' : ''}${this.i18n.days(days)})`;
+    }
+
+    formatValue(value) {
+        if (value !== null && typeof value === 'object') return JSON.stringify(value);
+        return this.i18n.formatDuration(this.dataService.durationService.parse(value));
+    }
+
+    describeCounts(diff) {
+        const count = direction => diff.changes.filter(change => change.direction === direction).length;
+        return this.i18n.t('changes.counts', { slower: count('increase'), faster: count('decrease'), status: count('status') });
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
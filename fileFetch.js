@@ -0,0 +1,35 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a fetch-compatible function that reads files from a local checkout (Node only)
+ *
+ * URLs are resolved against rootDir, so a DataService created with
+ * { baseUrl: '', fetch: createFileFetch('.') } reads data/ and weekly/ straight from disk.
+ * Missing files answer 404 like the network would.
+ */
+export function createFileFetch(rootDir = '.') {
+    return async url => {
+        const filePath = path.join(rootDir, String(url).split('?')[0]);
+
+        let text;
+        try {
+            text = await readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return {
+                ok: false,
+                status: 404,
+                json: async () => { throw new Error(`${filePath} not found`); },
+                text: async () => ''
+            };
+        }
+
+        return {
+            ok: true,
+            status: 200,
+            json: async () => JSON.parse(text.replace(/^\uFEFF/, '')),
+            text: async () => text
+        };
+    };
+}
@@ -0,0 +1,115 @@
+import { I18nService } from './i18nService.js';
+import { shiftIsoWeek } from './isoWeek.js';
+
+/**
+ * ForecastService - Projects weekly processing time series forward
+ * Uses damped-trend exponential smoothing (Holt) over normalized days, with a
+ * confidence band from the one-step-ahead errors that widens with the horizon
+ */
+export class ForecastService {
+    constructor(options = {}) {
+        this.minPoints = options.minPoints || 6;
+        this.damping = options.damping || 0.9;
+        this.i18n = options.i18n || new I18nService();
+        // z-scores for the supported confidence levels
+        this.zScores = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+        this.smoothingGrid = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+    }
+
+    /**
+     * Forecast a series of points ({ x: Date, y: days, week: "YYYY-Www" }), oldest first
+     *
+     * Returns null when there is not enough history, otherwise
+     * { points: [{ step, week, x, y, lower, upper }], level, alpha, beta, sigma }.
+     */
+    forecast(points, { horizon = 8, level = 0.8 } = {}) {
+        const series = points.filter(point => typeof point.y === 'number');
+        if (series.length < this.minPoints) return null;
+
+        const values = series.map(point => point.y);
+        const fit = this.fitParameters(values);
+        const z = this.zScores[level] || this.zScores[0.8];
+        const last = series[series.length - 1];
+
+        const forecastPoints = [];
+        let dampedSum = 0;
+        for (let step = 1; step <= horizon; step++) {
+            dampedSum += Math.pow(this.damping, step);
+            const y = Math.max(0, fit.level + dampedSum * fit.trend);
+            const margin = z * fit.sigma * Math.sqrt(step);
+
+            forecastPoints.push({
+                step,
+                week: shiftIsoWeek(last.week, step),
+                x: new Date(last.x.getTime() + step * 7 * 24 * 60 * 60 * 1000),
+                y,
+                lower: Math.max(0, y - margin),
+                upper: y + margin
+            });
+        }
+
+        return {
+            points: forecastPoints,
+            level,
+            alpha: fit.alpha,
+            beta: fit.beta,
+            sigma: fit.sigma
+        };
+    }
+
+    /**
+     * Pick the smoothing parameters with the lowest one-step-ahead squared error
+     */
+    fitParameters(values) {
+        let best = null;
+
+        this.smoothingGrid.forEach(alpha => {
+            this.smoothingGrid.forEach(beta => {
+                const run = this.smooth(values, alpha, beta);
+                if (!best || run.sse < best.sse) {
+                    best = { alpha, beta, ...run };
+                }
+            });
+        });
+
+        const sigma = Math.sqrt(best.sse / Math.max(1, values.length - 2));
+        return { ...best, sigma };
+    }
+
+    /**
+     * Run damped Holt smoothing over the values
+     */
+    smooth(values, alpha, beta) {
+        let level = values[0];
+        let trend = values[1] - values[0];
+        let sse = 0;
+
+        for (let i = 1; i < values.length; i++) {
+            const predicted = level + this.damping * trend;
+            const error = values[i] - predicted;
+            sse += error * error;
+
+            const previousLevel = level;
+            level = alpha * values[i] + (1 - alpha) * predicted;
+            trend = beta * (level - previousLevel) + (1 - beta) * this.damping * trend;
+        }
+
+        return { level, trend, sse };
+    }
+
+    /**
+     * Describe the end of a forecast, e.g. "expected ~45 days by 2026-W30"
+     */
+    describe(result) {
+        if (!result || result.points.length === 0) return null;
+
+        const last = result.points[result.points.length - 1];
+        return this.i18n.t('forecast.describe', {
+            days: this.i18n.days(last.y),
+            week: last.week,
+            percent: Math.round(result.level * 100),
+            lower: Math.round(last.lower),
+            upper: this.i18n.days(last.upper)
+        });
+    }
+}
@@ -0,0 +1,113 @@
+import { DurationService } from './durationService.js';
+import { AnomalyService } from './anomalyService.js';
+
+/**
+ * HistoryService - Turns weekly history entries into normalized series and trends
+ * Has no DOM or Chart.js access, so charts, reports and scripts share it
+ */
+export class HistoryService {
+    constructor(durationService = new DurationService(), anomalyService = new AnomalyService()) {
+        this.durationService = durationService;
+        this.anomalyService = anomalyService;
+    }
+
+    /**
+     * Extract normalized processing time in days from processing time data
+     */
+    extractProcessingTime(data) {
+        if (typeof data === 'object' && data !== null) {
+            // Look for common time-related properties
+            const timeKeys = ['months', 'days', 'weeks', 'time', 'duration'];
+            for (const key of timeKeys) {
+                if (data[key] !== undefined) {
+                    return this.extractProcessingTime(data[key]);
+                }
+            }
+            
+            // If object has multiple properties, might need custom logic
+            // For now, return null for complex objects
+            return null;
+        }
+        
+        return this.durationService.toNormalizedDays(data);
+    }
+
+    /**
+     * Normalize time units to months for comparison
+     */
+    normalizeToMonths(value, unit) {
+        const days = this.durationService.toDays(value, unit);
+        return days === null ? null : days / this.durationService.unitDays.month;
+    }
+
+    /**
+     * Prepare historical data for charting
+     */
+    prepareChartData(historicalData) {
+        const chartData = {};
+        
+        historicalData.forEach(entry => {
+            const category = entry.category;
+            const date = entry.date;
+            const processingTime = this.extractProcessingTime(entry.data);
+            
+            if (processingTime !== null) {
+                if (!chartData[category]) {
+                    chartData[category] = [];
+                }
+                
+                chartData[category].push({
+                    x: date,
+                    y: processingTime,
+                    week: entry.week,
+                    rawData: entry.data
+                });
+            }
+        });
+        
+        // Sort each category by date
+        Object.keys(chartData).forEach(category => {
+            chartData[category].sort((a, b) => a.x - b.x);
+        });
+        
+        return chartData;
+    }
+
+    /**
+     * Mark points that jump abnormally from their recent history
+     */
+    markAnomalies(chartData) {
+        Object.values(chartData).forEach(points => {
+            const results = this.anomalyService.detect(points);
+            points.forEach((point, index) => {
+                point.anomaly = results[index].anomaly;
+                point.anomalyScore = results[index].score;
+            });
+        });
+        
+        return chartData;
+    }
+
+    /**
+     * Create a simple trend indicator
+     */
+    calculateTrend(data) {
+        if (data.length < 2) return { trend: 'insufficient-data', change: 0 };
+        
+        const recent = data.slice(-4); // Last 4 data points
+        const older = data.slice(-8, -4); // Previous 4 data points
+        
+        if (recent.length === 0 || older.length === 0) return { trend: 'insufficient-data', change: 0 };
+        
+        const recentAvg = recent.reduce((sum, item) => sum + item.y, 0) / recent.length;
+        const olderAvg = older.reduce((sum, item) => sum + item.y, 0) / older.length;
+        
+        const change = ((recentAvg - olderAvg) / olderAvg) * 100;
+        
+        let trend = 'stable';
+        if (change > 5) trend = 'increasing';
+        else if (change < -5) trend = 'decreasing';
+        
+        return { trend, change: Math.round(change * 100) / 100 };
+    }
+}
@@ -0,0 +1,686 @@
+/**
+ * I18nService - UI message catalogue and locale-aware formatting (English and French)
+ */
+export class I18nService {
+    constructor(options = {}) {
+        this.storageKey = 'ircc-language';
+        this.languages = ['en', 'fr'];
+        this.locales = { en: 'en-CA', fr: 'fr-CA' };
+        this.messages = { en: I18nService.englishMessages(), fr: I18nService.frenchMessages() };
+        this.language = this.languages.includes(options.language) ? options.language : this.detectLanguage();
+    }
+
+    /**
+     * Pick the saved language, then the browser language, then English
+     */
+    detectLanguage() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (this.languages.includes(saved)) return saved;
+        } catch (error) {
+            // Storage can be blocked, e.g. in private windows
+        }
+
+        const browserLanguage = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+        return browserLanguage.toLowerCase().startsWith('fr') ? 'fr' : 'en';
+    }
+
+    /**
+     * Switch language and remember the choice
+     */
+    setLanguage(language) {
+        if (!this.languages.includes(language)) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.warn('Could not save language preference:', error);
+        }
+    }
+
+    /**
+     * BCP 47 locale for Intl formatting
+     */
+    getLocale() {
+        return this.locales[this.language];
+    }
+
+    /**
+     * Check whether the current language has a message for a key
+     */
+    has(key) {
+        return this.messages[this.language][key] !== undefined;
+    }
+
+    /**
+     * Look up a message and fill in {placeholders}, falling back to English and then the key
+     */
+    t(key, params = {}) {
+        const message = this.messages[this.language][key] ?? this.messages.en[key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Look up a message with .one/.other forms, using the locale's plural rules
+     *
+     * French treats 0 and 1 as singular, English only 1.
+     */
+    plural(key, count, params = {}) {
+        const form = new Intl.PluralRules(this.getLocale()).select(count) === 'one' ? 'one' : 'other';
+        return this.t(`${key}.${form}`, { count: this.formatNumber(count), ...params });
+    }
+
+    /**
+     * Format a whole number of days, e.g. "45 days" or "45 jours"
+     */
+    days(value) {
+        return this.plural('unit.day', Math.round(value));
+    }
+
+    /**
+     * Format a date, by default as "May 13, 2026" / "13 mai 2026"
+     */
+    formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.getLocale(), options).format(date);
+    }
+
+    /**
+     * Format a number for the current locale
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.getLocale(), options).format(value);
+    }
+
+    /**
+     * Display a parsed duration (DurationService.parse) in the current language
+     *
+     * English keeps IRCC's original wording; French rebuilds durations so values
+     * from English snapshots and French files read the same way.
+     */
+    formatDuration(duration) {
+        if (duration.status === 'insufficient-data' || duration.status === 'unavailable') {
+            return this.t(`status.${duration.status}`);
+        }
+        if (this.language === 'en' || duration.status !== 'ok' || typeof duration.raw !== 'string') {
+            return duration.raw;
+        }
+
+        const text = this.plural(`unit.${duration.unit}`, duration.amount);
+        return duration.label ? `${duration.label} : ${text}` : text;
+    }
+
+    /**
+     * Apply the catalogue to static markup
+     *
+     * Elements opt in with data-i18n (text content) or data-i18n-aria-label.
+     */
+    applyTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+
+        if (root.documentElement) {
+            root.documentElement.lang = this.language;
+            root.title = this.t('app.title');
+        }
+    }
+
+    /**
+     * English UI messages
+     */
+    static englishMessages() {
+        return {
+            'app.title': 'IRCC Processing Times',
+            'app.initializing': 'Initializing application...',
+            'app.loading': 'Loading...',
+            'app.loadFailed': 'Failed to load IRCC processing times data',
+            'app.refreshing': 'Refreshing data...',
+            'app.refreshingProgress': 'Refreshing data... loaded {loaded}/{total}',
+            'app.refreshFailed': 'Failed to refresh data',
+            'app.lastUpdated': 'Data last updated: {date}',
+            'app.offlineCopy': '(offline copy)',
+            'app.languageFallback': '(English data: French files unavailable)',
+            'app.unknownCategories': 'Some categories are not in the category registry yet and are shown with generated names: {keys}',
+            'app.validationFailed': 'The latest IRCC data did not pass validation ({files}). Some figures may be missing or wrong.',
+            'app.validationDetails': 'Show validation errors',
+            'app.languageToggle': 'Français',
+            'app.refresh': 'Refresh Data',
+            'app.selectCountry': 'Select Country:',
+            'app.loadingCountries': 'Loading countries...',
+            'app.countryPlaceholder': 'Select a country...',
+
+            'tab.current': 'Current Times',
+            'tab.historical': 'Historical Trends',
+            'tab.compare': 'Compare',
+            'tab.ranking': 'Rankings',
+            'tab.map': 'Map',
+            'tab.changes': 'Changes',
+            'tab.estimator': 'Estimator',
+            'tab.alerts': 'Alerts',
+            'tab.inCanada': 'In-Canada Services',
+            'tab.about': 'About',
+
+            'common.category': 'Category:',
+            'common.country': 'Country',
+            'common.rank': 'Rank',
+            'common.categoryHeading': 'Category',
+            'common.processingTime': 'Processing Time',
+            'common.days': 'Days',
+            'common.notAvailable': 'Not available',
+            'common.noChange': 'No change',
+            'common.exportCsv': 'Export CSV',
+            'common.exportJson': 'Export JSON',
+            'common.nothingToExport': 'Nothing to export yet for this view',
+            'common.forecast': 'Forecast:',
+            'common.weeksAhead4': '4 weeks ahead',
+            'common.weeksAhead8': '8 weeks ahead',
+            'common.weeksAhead12': '12 weeks ahead',
+
+            'unit.minute.one': '{count} minute',
+            'unit.minute.other': '{count} minutes',
+            'unit.hour.one': '{count} hour',
+            'unit.hour.other': '{count} hours',
+            'unit.day.one': '{count} day',
+            'unit.day.other': '{count} days',
+            'unit.week.one': '{count} week',
+            'unit.week.other': '{count} weeks',
+            'unit.month.one': '{count} month',
+            'unit.month.other': '{count} months',
+            'unit.year.one': '{count} year',
+            'unit.year.other': '{count} years',
+            'status.insufficient-data': 'Not enough data',
+            'status.unavailable': 'No processing time available',
+            'status.missing': 'No data',
+
+            'current.reportButton': 'Country report (PDF)',
+            'current.selectCountry': 'Please select a country',
+            'current.noData': 'No processing time data available for this country',
+            'anomaly.badge': 'Unusual jump',
+            'anomaly.title': 'Usual level about {days}',
+
+            'historical.heading': 'Historical Processing Times',
+            'historical.intro': 'View how processing times have changed over the past year for your selected country. Dashed lines show the forecast, with the shaded band covering the likely range.',
+            'historical.selectCountry': 'Select a country to view historical data',
+            'historical.noData': 'No historical data available for this country',
+            'historical.loading': 'Loading historical data...',
+            'historical.loadingProgress': 'Loading historical data... loaded {loaded}/{total}',
+            'historical.unavailable': 'Historical data temporarily unavailable',
+            'historical.stillLoading': 'Historical data is still loading...',
+            'historical.allCategories': 'All categories',
+            'historical.range': 'Period:',
+            'historical.range3m': 'Last 3 months',
+            'historical.range6m': 'Last 6 months',
+            'historical.range1y': 'Last 12 months',
+            'historical.rangeAll': 'All weeks',
+
+            'chart.title': 'Processing Times Over Time',
+            'chart.titleFor': 'Processing Times for {name}',
+            'chart.comparisonTitle': '{category} - Country Comparison',
+            'chart.date': 'Date',
+            'chart.yAxis': 'Processing Time (days)',
+            'chart.forecastLabel': '{label} (forecast)',
+            'chart.tooltip': '{label}: {days} - {raw} ({week})',
+            'chart.tooltipForecast': '{label}: ~{days} ({lower}–{upper}) ({week})',
+            'chart.unusualJump': ' - unusual jump',
+            'chart.downloadPng': 'Download PNG',
+            'chart.downloadSvg': 'Download SVG',
+
+            'forecast.describe': 'expected ~{days} by {week} ({percent}% range {lower}–{upper})',
+            'forecast.notEnough': 'Not enough history to forecast these categories.',
+
+            'compare.heading': 'Compare Countries',
+            'compare.intro': 'Overlay the processing time history of several countries for one category. Hold Ctrl (Cmd on Mac) to select multiple countries.',
+            'compare.countries': 'Countries:',
+            'compare.selectBoth': 'Select one or more countries and a category to compare',
+            'compare.selectCountries': 'Select one or more countries to compare',
+
+            'ranking.heading': 'Rankings by Category',
+            'ranking.intro': 'Every country\'s current processing time for one category, with the change since last week and since 12 weeks ago. Click a column heading to sort.',
+            'ranking.hideUnavailable': 'Hide "No processing time available"',
+            'ranking.sinceLastWeek': 'Since Last Week',
+            'ranking.since12Weeks': 'Since 12 Weeks Ago',
+            'ranking.loading': 'Loading rankings...',
+            'ranking.empty': 'No countries to show for this category',
+            'ranking.coverage': '{count} of {total} countries have enough data for {category}.',
+            'ranking.coverageList': 'Show countries with enough data',
+
+            'map.heading': 'Processing Times Map',
+            'map.intro': 'Countries coloured by their current processing time for one category. Hover for details, or click a country to view all its processing times.',
+            'map.loading': 'Loading map...',
+            'map.title': '{category} processing times by country',
+            'map.defaultTitle': 'Processing times by country',
+            'map.unavailable': 'Map temporarily unavailable',
+            'map.upTo': '≤ {days}',
+            'map.range': '{lower}–{upper}',
+
+            'changes.heading': 'This Week\'s Changes',
+            'changes.intro': 'Everything that moved between two weekly snapshots. Defaults to the latest two weeks; pick any other pair to compare.',
+            'changes.fromWeek': 'From week:',
+            'changes.toWeek': 'To week:',
+            'changes.loading': 'Loading weekly snapshots...',
+            'changes.byCountry': 'Processing Times by Country',
+            'changes.services': 'In-Canada Services',
+            'changes.addedRemoved': 'Added and Removed',
+            'changes.service': 'Service',
+            'changes.before': 'Before',
+            'changes.after': 'After',
+            'changes.change': 'Change',
+            'changes.needTwo': 'At least two weekly snapshots are needed to show changes.',
+            'changes.counts': '{slower} slower, {faster} faster, {status} status changes',
+            'changes.summaryTimes': 'Processing times: {counts}.',
+            'changes.summaryServices': 'In-Canada services: {counts}.',
+            'changes.noSnapshot': 'no snapshot for one of these weeks',
+            'changes.noTimeChanges': 'No processing time changes',
+            'changes.noServiceChanges': 'No in-Canada service changes',
+            'changes.statusChanged': 'Status changed',
+            'changes.categoryAdded': 'Category added: {category}',
+            'changes.categoryRemoved': 'Category removed: {category}',
+            'changes.countryAdded': 'Country added to {category}: {country}',
+            'changes.countryRemoved': 'Country removed from {category}: {country}',
+            'changes.serviceCategoryAdded': 'Service category added: {category}',
+            'changes.serviceCategoryRemoved': 'Service category removed: {category}',
+            'changes.serviceAdded': 'Service added: {service}',
+            'changes.serviceRemoved': 'Service removed: {service}',
+            'changes.noStructure': 'No categories, countries or services were added or removed.',
+            'feed.title': 'IRCC Processing Times: Weekly Changes',
+            'feed.subtitle': 'What moved in each weekly snapshot of IRCC processing times and in-Canada services',
+            'feed.entryTitle': '{week}: {counts}',
+            'feed.noSignificantChanges': 'No processing time moved by at least a week and 10%.',
+            'feed.viewChanges': 'View these changes on the dashboard',
+
+            'estimator.heading': 'When Will My Application Be Decided?',
+            'estimator.intro': 'Estimates a decision window from the posted processing time and how it has moved over the last 12 weeks. These are estimates, not guarantees.',
+            'estimator.application': 'Application:',
+            'estimator.country': 'Country:',
+            'estimator.submitted': 'Submitted:',
+            'estimator.submit': 'Estimate',
+            'estimator.groupCountry': 'Applications from outside Canada',
+            'estimator.groupServices': 'In-Canada services',
+            'estimator.chooseInputs': 'Choose an application type and a submission date.',
+            'estimator.labelFrom': '{category} from {country}',
+            'estimator.needsPosted': 'An estimate needs a posted processing time.',
+            'estimator.drift': 'When you applied ({week}) the posted time was {before}; it is now {after} ({change}).',
+            'estimator.noDrift': 'No weekly snapshot covers your submission date, so drift cannot be shown.',
+            'estimator.historyLoading': ' Historical data is still loading, so the range uses the posted time only.',
+            'estimator.posted': 'Posted processing time: {value} ({elapsed} elapsed since {date})',
+            'estimator.scenario': 'Scenario',
+            'estimator.expectedDecision': 'Expected Decision',
+            'estimator.best': 'Best',
+            'estimator.typical': 'Typical',
+            'estimator.worst': 'Worst',
+
+            'alerts.heading': 'Processing Time Alerts',
+            'alerts.intro': 'Watch a processing time and get notified when IRCC publishes an update that crosses your threshold or changes it. Rules are saved in this browser and checked when the page loads or refreshes newer data.',
+            'alerts.condition': 'Notify me when it:',
+            'alerts.conditionBelow': 'drops below',
+            'alerts.conditionAbove': 'rises above',
+            'alerts.conditionChange': 'changes at all',
+            'alerts.thresholdUnit': 'days',
+            'alerts.add': 'Add Alert',
+            'alerts.added': 'Alert added: {rule}',
+            'alerts.needsCountry': 'Choose a country for this application type.',
+            'alerts.needsThreshold': 'Enter a number of days for the threshold.',
+            'alerts.rules': 'Watch Rules',
+            'alerts.fired': 'Fired Alerts',
+            'alerts.noRules': 'No alerts yet. Add one above.',
+            'alerts.noneFired': 'No alerts have fired yet.',
+            'alerts.rule': 'Rule',
+            'alerts.lastValue': 'Last Value',
+            'alerts.update': 'IRCC Update',
+            'alerts.before': 'Before',
+            'alerts.after': 'After',
+            'alerts.remove': 'Remove',
+            'alerts.clear': 'Clear fired alerts',
+            'alerts.ruleBelow': '{target} drops below {days}',
+            'alerts.ruleAbove': '{target} rises above {days}',
+            'alerts.ruleChange': '{target} changes',
+            'alerts.notificationTitle': 'IRCC processing time alert',
+            'alerts.notificationBody': '{rule}: {before} → {after}',
+
+            'services.heading': 'In-Canada Services',
+            'services.intro': 'Processing times for services available to people already in Canada, including renewals, extensions, and other applications that don\'t require country-specific processing.',
+            'services.loading': 'Loading in-Canada services...',
+            'services.loadError': 'Error loading in-Canada services: {message}',
+            'services.compare': 'Compare Services:',
+            'services.selectCategory': 'Select Service Category:',
+            'services.allServices': 'All Services',
+            'services.dataFrom': 'Data from {date}',
+            'services.weekOf': '{year} Week {week}',
+            'services.selectHint': 'Select a service category below to view specific processing times, or view all services.',
+            'services.noneFound': 'No services found for the selected category',
+            'services.viewHistory': 'View processing time history',
+            'services.flptNote': 'Projected time for new applications, updated monthly',
+            'services.selectToView': 'Select one or more services to view their history',
+            'services.historyLoading': 'Loading service history...',
+            'services.historyUnavailable': 'Service history temporarily unavailable',
+            'services.noHistory': 'No historical data available for the selected services',
+            'services.comparisonTitle': 'In-Canada Services Comparison',
+            'services.notApplicable': 'N/A',
+
+            'report.selectCountry': 'Select a country to build a report',
+            'report.libraryMissing': 'The PDF library has not loaded. Check your connection and try again.',
+            'report.failed': 'Failed to build the country report',
+            'report.title': 'Processing Times Report: {name}',
+            'report.subtitle': 'Data last updated: {updated} | Generated: {generated}',
+            'report.unknown': 'Unknown',
+            'report.current': 'Current processing times',
+            'report.historical': 'Historical processing times',
+            'report.noHistory': 'Historical data was not available when this report was generated.',
+            'report.trend': 'Trend summary',
+            'report.noTrend': 'Not enough weekly history to describe a trend.',
+            'report.trendLine': '{category}: {description}, latest {days} ({week})',
+            'report.trendNotEnough': 'not enough weekly history',
+            'report.trendChange': '{trend} ({change}% over the last 4 weeks vs the 4 before)',
+            'report.trend.increasing': 'increasing',
+            'report.trend.decreasing': 'decreasing',
+            'report.trend.stable': 'stable',
+            'report.noCurrent': 'No processing time data available for this country.',
+            'report.source': 'Source: IRCC processing times from Canada.ca, collected by caipsnotes/ircc-processing-times',
+            'report.page': 'Page {page} of {count}',
+
+            'about.heading': 'About This Tool',
+            'about.intro': 'This tool tracks IRCC (Immigration, Refugees and Citizenship Canada) processing times using official government data.',
+            'about.sources': 'Data Sources',
+            'about.sourcesIntro': 'Data is automatically collected from official Canada.ca JSON endpoints:',
+            'about.sourceCountries': 'Country names and codes',
+            'about.sourceCurrent': 'Current processing times',
+            'about.sourceServices': 'In-Canada services data',
+            'about.updates': 'Updates',
+            'about.updatesText': 'Current data is updated daily, and weekly snapshots are maintained for historical analysis.',
+            'about.repository': 'GitHub Repository',
+            'about.repositoryText': 'This tool is maintained by immigration data enthusiasts to help track processing times.',
+
+            'categoryGroup.temporary': 'Temporary residence',
+            'categoryGroup.economic': 'Economic immigration',
+            'categoryGroup.family': 'Family sponsorship',
+            'categoryGroup.refugee': 'Refugees and humanitarian',
+            'categoryGroup.citizenship': 'Citizenship',
+            'categoryGroup.documents': 'Status documents',
+            'categoryGroup.other': 'Other'
+        };
+    }
+
+    /**
+     * French UI messages, plus French labels for category and service keys
+     */
+    static frenchMessages() {
+        return {
+            'app.title': 'Délais de traitement d\'IRCC',
+            'app.initializing': 'Initialisation de l\'application...',
+            'app.loading': 'Chargement...',
+            'app.loadFailed': 'Impossible de charger les délais de traitement d\'IRCC',
+            'app.refreshing': 'Actualisation des données...',
+            'app.refreshingProgress': 'Actualisation des données... {loaded}/{total} chargés',
+            'app.refreshFailed': 'Impossible d\'actualiser les données',
+            'app.lastUpdated': 'Dernière mise à jour des données : {date}',
+            'app.offlineCopy': '(copie hors ligne)',
+            'app.languageFallback': '(données en anglais : fichiers français indisponibles)',
+            'app.unknownCategories': 'Certaines catégories ne figurent pas encore dans le registre et sont affichées avec un nom généré : {keys}',
+            'app.validationFailed': 'Les dernières données d\'IRCC n\'ont pas passé la validation ({files}). Certains chiffres peuvent être manquants ou erronés.',
+            'app.validationDetails': 'Afficher les erreurs de validation',
+            'app.languageToggle': 'English',
+            'app.refresh': 'Actualiser les données',
+            'app.selectCountry': 'Choisir un pays :',
+            'app.loadingCountries': 'Chargement des pays...',
+            'app.countryPlaceholder': 'Choisir un pays...',
+
+            'tab.current': 'Délais actuels',
+            'tab.historical': 'Tendances historiques',
+            'tab.compare': 'Comparer',
+            'tab.ranking': 'Classements',
+            'tab.map': 'Carte',
+            'tab.changes': 'Changements',
+            'tab.estimator': 'Estimation',
+            'tab.alerts': 'Alertes',
+            'tab.inCanada': 'Services au Canada',
+            'tab.about': 'À propos',
+
+            'common.category': 'Catégorie :',
+            'common.country': 'Pays',
+            'common.rank': 'Rang',
+            'common.categoryHeading': 'Catégorie',
+            'common.processingTime': 'Délai de traitement',
+            'common.days': 'Jours',
+            'common.notAvailable': 'Non disponible',
+            'common.noChange': 'Aucun changement',
+            'common.exportCsv': 'Exporter en CSV',
+            'common.exportJson': 'Exporter en JSON',
+            'common.nothingToExport': 'Rien à exporter pour cette vue',
+            'common.forecast': 'Prévision :',
+            'common.weeksAhead4': '4 semaines',
+            'common.weeksAhead8': '8 semaines',
+            'common.weeksAhead12': '12 semaines',
+
+            'unit.minute.one': '{count} minute',
+            'unit.minute.other': '{count} minutes',
+            'unit.hour.one': '{count} heure',
+            'unit.hour.other': '{count} heures',
+            'unit.day.one': '{count} jour',
+            'unit.day.other': '{count} jours',
+            'unit.week.one': '{count} semaine',
+            'unit.week.other': '{count} semaines',
+            'unit.month.one': '{count} mois',
+            'unit.month.other': '{count} mois',
+            'unit.year.one': '{count} an',
+            'unit.year.other': '{count} ans',
+            'status.insufficient-data': 'Pas assez de données',
+            'status.unavailable': 'Aucun délai de traitement disponible',
+            'status.missing': 'Aucune donnée',
+
+            'current.reportButton': 'Rapport du pays (PDF)',
+            'current.selectCountry': 'Veuillez choisir un pays',
+            'current.noData': 'Aucun délai de traitement disponible pour ce pays',
+            'anomaly.badge': 'Saut inhabituel',
+            'anomaly.title': 'Niveau habituel d\'environ {days}',
+
+            'historical.heading': 'Délais de traitement historiques',
+            'historical.intro': 'Voyez comment les délais de traitement ont évolué au cours de la dernière année pour le pays choisi. Les lignes pointillées montrent la prévision et la bande ombrée couvre la fourchette probable.',
+            'historical.selectCountry': 'Choisissez un pays pour voir l\'historique',
+            'historical.noData': 'Aucun historique disponible pour ce pays',
+            'historical.loading': 'Chargement de l\'historique...',
+            'historical.loadingProgress': 'Chargement de l\'historique... {loaded}/{total} chargés',
+            'historical.unavailable': 'Historique temporairement indisponible',
+            'historical.stillLoading': 'L\'historique est en cours de chargement...',
+            'historical.allCategories': 'Toutes les catégories',
+            'historical.range': 'Période :',
+            'historical.range3m': '3 derniers mois',
+            'historical.range6m': '6 derniers mois',
+            'historical.range1y': '12 derniers mois',
+            'historical.rangeAll': 'Toutes les semaines',
+
+            'chart.title': 'Délais de traitement dans le temps',
+            'chart.titleFor': 'Délais de traitement pour {name}',
+            'chart.comparisonTitle': '{category} - Comparaison des pays',
+            'chart.date': 'Date',
+            'chart.yAxis': 'Délai de traitement (jours)',
+            'chart.forecastLabel': '{label} (prévision)',
+            'chart.tooltip': '{label} : {days} - {raw} ({week})',
+            'chart.tooltipForecast': '{label} : ~{days} ({lower}–{upper}) ({week})',
+            'chart.unusualJump': ' - saut inhabituel',
+            'chart.downloadPng': 'Télécharger en PNG',
+            'chart.downloadSvg': 'Télécharger en SVG',
+
+            'forecast.describe': 'environ {days} prévus d\'ici {week} (fourchette à {percent} % : {lower}–{upper})',
+            'forecast.notEnough': 'Historique insuffisant pour prévoir ces catégories.',
+
+            'compare.heading': 'Comparer des pays',
+            'compare.intro': 'Superposez l\'historique des délais de plusieurs pays pour une catégorie. Maintenez Ctrl (Cmd sur Mac) pour choisir plusieurs pays.',
+            'compare.countries': 'Pays :',
+            'compare.selectBoth': 'Choisissez un ou plusieurs pays et une catégorie à comparer',
+            'compare.selectCountries': 'Choisissez un ou plusieurs pays à comparer',
+
+            'ranking.heading': 'Classements par catégorie',
+            'ranking.intro': 'Le délai actuel de chaque pays pour une catégorie, avec la variation depuis la semaine dernière et depuis 12 semaines. Cliquez sur un en-tête de colonne pour trier.',
+            'ranking.hideUnavailable': 'Masquer « Aucun délai de traitement disponible »',
+            'ranking.sinceLastWeek': 'Depuis la semaine dernière',
+            'ranking.since12Weeks': 'Depuis 12 semaines',
+            'ranking.loading': 'Chargement des classements...',
+            'ranking.empty': 'Aucun pays à afficher pour cette catégorie',
+            'ranking.coverage': '{count} pays sur {total} ont assez de données pour {category}.',
+            'ranking.coverageList': 'Afficher les pays ayant assez de données',
+
+            'map.heading': 'Carte des délais de traitement',
+            'map.intro': 'Pays colorés selon leur délai actuel pour une catégorie. Survolez pour les détails ou cliquez sur un pays pour voir tous ses délais.',
+            'map.loading': 'Chargement de la carte...',
+            'map.title': '{category} : délais de traitement par pays',
+            'map.defaultTitle': 'Délais de traitement par pays',
+            'map.unavailable': 'Carte temporairement indisponible',
+            'map.upTo': '≤ {days}',
+            'map.range': '{lower}–{upper}',
+
+            'changes.heading': 'Changements de la semaine',
+            'changes.intro': 'Tout ce qui a changé entre deux instantanés hebdomadaires. Par défaut, les deux dernières semaines; choisissez une autre paire pour comparer.',
+            'changes.fromWeek': 'De la semaine :',
+            'changes.toWeek': 'À la semaine :',
+            'changes.loading': 'Chargement des instantanés hebdomadaires...',
+            'changes.byCountry': 'Délais de traitement par pays',
+            'changes.services': 'Services au Canada',
+            'changes.addedRemoved': 'Ajouts et retraits',
+            'changes.service': 'Service',
+            'changes.before': 'Avant',
+            'changes.after': 'Après',
+            'changes.change': 'Variation',
+            'changes.needTwo': 'Il faut au moins deux instantanés hebdomadaires pour afficher les changements.',
+            'changes.counts': '{slower} plus lents, {faster} plus rapides, {status} changements de statut',
+            'changes.summaryTimes': 'Délais de traitement : {counts}.',
+            'changes.summaryServices': 'Services au Canada : {counts}.',
+            'changes.noSnapshot': 'aucun instantané pour l\'une de ces semaines',
+            'changes.noTimeChanges': 'Aucun changement de délai',
+            'changes.noServiceChanges': 'Aucun changement pour les services au Canada',
+            'changes.statusChanged': 'Statut modifié',
+            'changes.categoryAdded': 'Catégorie ajoutée : {category}',
+            'changes.categoryRemoved': 'Catégorie retirée : {category}',
+            'changes.countryAdded': 'Pays ajouté à {category} : {country}',
+            'changes.countryRemoved': 'Pays retiré de {category} : {country}',
+            'changes.serviceCategoryAdded': 'Catégorie de services ajoutée : {category}',
+            'changes.serviceCategoryRemoved': 'Catégorie de services retirée : {category}',
+            'changes.serviceAdded': 'Service ajouté : {service}',
+            'changes.serviceRemoved': 'Service retiré : {service}',
+            'changes.noStructure': 'Aucune catégorie, aucun pays ni aucun service n\'a été ajouté ou retiré.',
+            'feed.title': 'Délais de traitement d\'IRCC : changements de la semaine',
+            'feed.subtitle': 'Ce qui a changé dans chaque relevé hebdomadaire des délais de traitement d\'IRCC et des services au Canada',
+            'feed.entryTitle': '{week} : {counts}',
+            'feed.noSignificantChanges': 'Aucun délai de traitement n\'a changé d\'au moins une semaine et 10 %.',
+            'feed.viewChanges': 'Voir ces changements dans le tableau de bord',
+
+            'estimator.heading': 'Quand ma demande sera-t-elle traitée?',
+            'estimator.intro': 'Estime une période de décision à partir du délai affiché et de son évolution au cours des 12 dernières semaines. Ce sont des estimations, pas des garanties.',
+            'estimator.application': 'Demande :',
+            'estimator.country': 'Pays :',
+            'estimator.submitted': 'Présentée le :',
+            'estimator.submit': 'Estimer',
+            'estimator.groupCountry': 'Demandes présentées hors du Canada',
+            'estimator.groupServices': 'Services au Canada',
+            'estimator.chooseInputs': 'Choisissez un type de demande et une date de présentation.',
+            'estimator.labelFrom': '{category} depuis {country}',
+            'estimator.needsPosted': 'Une estimation nécessite un délai de traitement affiché.',
+            'estimator.drift': 'Lors de votre demande ({week}), le délai affiché était de {before}; il est maintenant de {after} ({change}).',
+            'estimator.noDrift': 'Aucun instantané hebdomadaire ne couvre votre date de présentation; l\'évolution ne peut pas être affichée.',
+            'estimator.historyLoading': ' L\'historique est en cours de chargement; la fourchette utilise seulement le délai affiché.',
+            'estimator.posted': 'Délai de traitement affiché : {value} ({elapsed} depuis le {date})',
+            'estimator.scenario': 'Scénario',
+            'estimator.expectedDecision': 'Décision prévue',
+            'estimator.best': 'Meilleur cas',
+            'estimator.typical': 'Cas typique',
+            'estimator.worst': 'Pire cas',
+
+            'alerts.heading': 'Alertes sur les délais de traitement',
+            'alerts.intro': 'Surveillez un délai de traitement et soyez averti quand IRCC publie une mise à jour qui franchit votre seuil ou le modifie. Les règles sont enregistrées dans ce navigateur et vérifiées quand la page charge ou actualise des données plus récentes.',
+            'alerts.condition': 'M\'avertir quand il :',
+            'alerts.conditionBelow': 'descend sous',
+            'alerts.conditionAbove': 'dépasse',
+            'alerts.conditionChange': 'change',
+            'alerts.thresholdUnit': 'jours',
+            'alerts.add': 'Ajouter l\'alerte',
+            'alerts.added': 'Alerte ajoutée : {rule}',
+            'alerts.needsCountry': 'Choisissez un pays pour ce type de demande.',
+            'alerts.needsThreshold': 'Entrez un nombre de jours pour le seuil.',
+            'alerts.rules': 'Règles de surveillance',
+            'alerts.fired': 'Alertes déclenchées',
+            'alerts.noRules': 'Aucune alerte pour l\'instant. Ajoutez-en une ci-dessus.',
+            'alerts.noneFired': 'Aucune alerte n\'a encore été déclenchée.',
+            'alerts.rule': 'Règle',
+            'alerts.lastValue': 'Dernière valeur',
+            'alerts.update': 'Mise à jour d\'IRCC',
+            'alerts.before': 'Avant',
+            'alerts.after': 'Après',
+            'alerts.remove': 'Supprimer',
+            'alerts.clear': 'Effacer les alertes déclenchées',
+            'alerts.ruleBelow': '{target} descend sous {days}',
+            'alerts.ruleAbove': '{target} dépasse {days}',
+            'alerts.ruleChange': '{target} change',
+            'alerts.notificationTitle': 'Alerte de délai de traitement IRCC',
+            'alerts.notificationBody': '{rule} : {before} → {after}',
+
+            'services.heading': 'Services au Canada',
+            'services.intro': 'Délais de traitement des services offerts aux personnes déjà au Canada, y compris les renouvellements, les prolongations et les autres demandes qui ne dépendent pas du pays.',
+            'services.loading': 'Chargement des services au Canada...',
+            'services.loadError': 'Erreur lors du chargement des services au Canada : {message}',
+            'services.compare': 'Comparer des services :',
+            'services.selectCategory': 'Choisir une catégorie de services :',
+            'services.allServices': 'Tous les services',
+            'services.dataFrom': 'Données du {date}',
+            'services.weekOf': '{year}, semaine {week}',
+            'services.selectHint': 'Choisissez une catégorie de services ci-dessous pour voir des délais précis, ou affichez tous les services.',
+            'services.noneFound': 'Aucun service trouvé pour la catégorie choisie',
+            'services.viewHistory': 'Voir l\'historique des délais',
+            'services.flptNote': 'Délai projeté pour les nouvelles demandes, mis à jour chaque mois',
+            'services.selectToView': 'Choisissez un ou plusieurs services pour voir leur historique',
+            'services.historyLoading': 'Chargement de l\'historique des services...',
+            'services.historyUnavailable': 'Historique des services temporairement indisponible',
+            'services.noHistory': 'Aucun historique disponible pour les services choisis',
+            'services.comparisonTitle': 'Comparaison des services au Canada',
+            'services.notApplicable': 'S.O.',
+
+            'report.selectCountry': 'Choisissez un pays pour créer un rapport',
+            'report.libraryMissing': 'La bibliothèque PDF n\'est pas chargée. Vérifiez votre connexion et réessayez.',
+            'report.failed': 'Impossible de créer le rapport du pays',
+            'report.title': 'Rapport des délais de traitement : {name}',
+            'report.subtitle': 'Dernière mise à jour des données : {updated} | Créé le : {generated}',
+            'report.unknown': 'Inconnue',
+            'report.current': 'Délais de traitement actuels',
+            'report.historical': 'Délais de traitement historiques',
+            'report.noHistory': 'L\'historique n\'était pas disponible lors de la création de ce rapport.',
+            'report.trend': 'Résumé des tendances',
+            'report.noTrend': 'Historique hebdomadaire insuffisant pour décrire une tendance.',
+            'report.trendLine': '{category} : {description}, dernier délai {days} ({week})',
+            'report.trendNotEnough': 'historique hebdomadaire insuffisant',
+            'report.trendChange': '{trend} ({change} % sur les 4 dernières semaines par rapport aux 4 précédentes)',
+            'report.trend.increasing': 'en hausse',
+            'report.trend.decreasing': 'en baisse',
+            'report.trend.stable': 'stable',
+            'report.noCurrent': 'Aucun délai de traitement disponible pour ce pays.',
+            'report.source': 'Source : délais de traitement d\'IRCC publiés sur Canada.ca, recueillis par caipsnotes/ircc-processing-times',
+            'report.page': 'Page {page} de {count}',
+
+            'about.heading': 'À propos de cet outil',
+            'about.intro': 'Cet outil suit les délais de traitement d\'IRCC (Immigration, Réfugiés et Citoyenneté Canada) à partir des données officielles du gouvernement.',
+            'about.sources': 'Sources des données',
+            'about.sourcesIntro': 'Les données sont recueillies automatiquement à partir des fichiers JSON officiels de Canada.ca :',
+            'about.sourceCountries': 'Noms et codes des pays',
+            'about.sourceCurrent': 'Délais de traitement actuels',
+            'about.sourceServices': 'Données des services au Canada',
+            'about.updates': 'Mises à jour',
+            'about.updatesText': 'Les données actuelles sont mises à jour chaque jour, et des instantanés hebdomadaires sont conservés pour l\'analyse historique.',
+            'about.repository': 'Dépôt GitHub',
+            'about.repositoryText': 'Cet outil est maintenu par des passionnés de données d\'immigration pour aider à suivre les délais de traitement.',
+
+            'categoryGroup.temporary': 'Résidence temporaire',
+            'categoryGroup.economic': 'Immigration économique',
+            'categoryGroup.family': 'Regroupement familial',
+            'categoryGroup.refugee': 'Réfugiés et motifs humanitaires',
+            'categoryGroup.citizenship': 'Citoyenneté',
+            'categoryGroup.documents': 'Documents de statut',
+            'categoryGroup.other': 'Autres'
+        };
+    }
+}
@@ -0,0 +1,147 @@
+import { DataService } from './dataService.js';
+
+/**
+ * InCanadaService - Latest in-Canada services snapshot and its weekly history
+ * Has no DOM access; the services tab and scripts read the data through it
+ */
+export class InCanadaService {
+    constructor(dataService = new DataService()) {
+        this.dataService = dataService;
+        this.type = 'in-canada-services';
+        // Newest snapshot as { filename, isoWeek, data }
+        this.latest = null;
+        this.historyLoaded = false;
+        // Map of service key to its category key, across every loaded snapshot
+        this.serviceCategoryKeys = {};
+        // Weeks tried, newest first, when the index is missing the newest file
+        this.fallbackWeeks = 5;
+    }
+
+    /**
+     * Load the newest in-Canada services snapshot from the weekly index
+     *
+     * Falls back to older weeks when the newest listed file cannot be fetched.
+     */
+    async loadLatest() {
+        const files = this.dataService
+            .selectWeeklyFiles(await this.dataService.fetchWeeklyIndex(), this.fallbackWeeks)
+            .filter(file => file.type === this.type)
+            .reverse();
+
+        for (const { filename, isoWeek } of files) {
+            try {
+                const data = await this.fetchSnapshot(filename);
+                this.latest = { filename, isoWeek, data };
+                this.registerCategories(data);
+                return this.latest;
+            } catch (error) {
+                console.warn(`Could not load services file ${filename}:`, error);
+            }
+        }
+
+        throw new Error('No in-Canada services file found in recent weeks');
+    }
+
+    /**
+     * Load every weekly in-Canada snapshot into the data service, oldest first
+     *
+     * Files the app has already loaded come from the data service cache.
+     */
+    async loadHistory(maxWeeks = 52) {
+        if (!this.historyLoaded) {
+            const files = this.dataService
+                .selectWeeklyFiles(await this.dataService.fetchWeeklyIndex(), maxWeeks)
+                .filter(file => file.type === this.type);
+
+            const tasks = files.map(({ filename, ...weekInfo }) => async () =>
+                this.dataService.addSnapshot(filename, weekInfo, await this.fetchSnapshot(filename))
+            );
+            const results = await this.dataService.runWithConcurrency(tasks);
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    console.warn(`Error loading services file ${files[index].filename}:`, result.reason);
+                }
+            });
+            this.historyLoaded = true;
+        }
+
+        const snapshots = this.dataService.getInCanadaSnapshots();
+        snapshots.forEach(snapshot => this.registerCategories(snapshot.data));
+        return snapshots;
+    }
+
+    /**
+     * Fetch one weekly services file
+     */
+    async fetchSnapshot(filename) {
+        return this.dataService.fetchWithCache(`${this.dataService.baseUrl}/weekly/${filename}`, { immutable: true });
+    }
+
+    /**
+     * Get the service categories of a snapshot, without the default-update metadata
+     */
+    getCategories(data = this.latest && this.latest.data) {
+        return Object.entries(data || {}).filter(([key]) => key !== 'default-update');
+    }
+
+    /**
+     * List the services of a snapshot as { category, service, value }
+     */
+    getServices(data = this.latest && this.latest.data) {
+        return this.getCategories(data).flatMap(([category, services]) =>
+            Object.entries(services).map(([service, value]) => ({ category, service, value }))
+        );
+    }
+
+    /**
+     * Parse the lastupdated date of the latest snapshot, or null
+     */
+    getLastUpdatedDate() {
+        const metadata = this.latest ? this.latest.data['default-update'] : null;
+        return this.dataService.parseLastUpdated(metadata ? metadata.lastupdated : null);
+    }
+
+    /**
+     * Record which category each service belongs to
+     */
+    registerCategories(data) {
+        this.getServices(data).forEach(({ category, service }) => {
+            this.serviceCategoryKeys[service] = category;
+        });
+    }
+
+    /**
+     * Get the category key of a service, or null when it has not been seen
+     */
+    getServiceCategory(serviceKey) {
+        return this.serviceCategoryKeys[serviceKey] || null;
+    }
+
+    /**
+     * Build history entries ({ date, week, category, country, data }) for the given services
+     *
+     * The entries have the same shape as DataService.getHistoricalData, with the
+     * service key as category, so they chart and forecast the same way.
+     */
+    getHistoricalData(serviceKeys) {
+        const historicalData = [];
+
+        this.dataService.getInCanadaSnapshots().forEach(snapshot => {
+            this.getCategories(snapshot.data).forEach(([, services]) => {
+                serviceKeys.forEach(serviceKey => {
+                    if (services[serviceKey] !== undefined) {
+                        historicalData.push({
+                            date: snapshot.timestamp,
+                            week: snapshot.isoWeek,
+                            category: serviceKey,
+                            country: null,
+                            data: services[serviceKey]
+                        });
+                    }
+                });
+            });
+        });
+
+        return historicalData;
+    }
+}
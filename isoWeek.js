@@ -0,0 +1,50 @@
+/**
+ * ISO 8601 week helpers ("2026-W20"), shared by DataService and ForecastService
+ * Pure functions with no DOM or storage access
+ */
+
+/**
+ * Get the ISO week number of a local calendar date
+ */
+export function getWeekNumber(date) {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+}
+
+/**
+ * Format a date as an ISO week string (e.g. "2026-W20"), using the ISO week-numbering year
+ */
+export function formatIsoWeek(date) {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    return `${d.getUTCFullYear()}-W${getWeekNumber(date).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Get the Monday (UTC) of an ISO week string, or null when it does not parse
+ */
+export function isoWeekToDate(isoWeek) {
+    const match = /^(\d{4})-W(\d{2})$/.exec(isoWeek || '');
+    if (!match) return null;
+
+    const year = parseInt(match[1]);
+    const week = parseInt(match[2]);
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const monday = new Date(jan4);
+    monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (week - 1) * 7);
+    return monday;
+}
+
+/**
+ * Move an ISO week string forward or back by a number of weeks
+ */
+export function shiftIsoWeek(isoWeek, weeks) {
+    const monday = isoWeekToDate(isoWeek);
+    if (!monday) return null;
+
+    monday.setUTCDate(monday.getUTCDate() + weeks * 7);
+    return formatIsoWeek(new Date(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate()));
+}
@@ -1,12 +1,62 @@
+import { I18nService } from './i18nService.js';
+import { CategoryService } from './categoryService.js';
+import { DataService } from './dataService.js';
+import { ChartService } from './chartService.js';
+import { DurationService } from './durationService.js';
+import { ValidationService } from './validationService.js';
+import { MapService } from './mapService.js';
+import { DiffService } from './diffService.js';
+import { AnomalyService } from './anomalyService.js';
+import { ForecastService } from './forecastService.js';
+import { EstimatorService } from './estimatorService.js';
+import { ExportService } from './exportService.js';
+import { ReportService } from './reportService.js';
+import { UrlStateService } from './urlStateService.js';
+import { AlertService } from './alertService.js';
+import { setServicesI18n, setServicesCategories, setServicesDataService, refreshServicesLanguage, getCategoryDisplayName, formatServiceName } from './servicesService.js';
+
 /**
  * Main Application - Integrates DataService and ChartService
  */
 class IRCCApp {
     constructor() {
-        this.dataService = new DataService();
-        this.chartService = new ChartService();
+        this.i18n = new I18nService();
+        this.categoryService = new CategoryService(this.i18n);
+        this.dataService = new DataService({ language: this.i18n.language });
+        this.chartService = new ChartService(this.i18n, this.categoryService);
+        this.historyService = this.chartService.historyService;
+        this.durationService = new DurationService();
+        this.validationService = new ValidationService(this.durationService);
+        this.mapService = new MapService('maps/world.json', this.i18n, this.categoryService);
+        this.diffService = new DiffService(this.durationService);
+        this.anomalyService = new AnomalyService();
+        this.forecastService = new ForecastService({ i18n: this.i18n });
+        this.estimatorService = new EstimatorService();
+        this.exportService = new ExportService(this.durationService);
+        this.reportService = new ReportService(this.chartService, this.i18n);
+        this.urlState = new UrlStateService();
+        this.alertService = new AlertService(this.dataService);
         this.currentCountry = null;
+        this.currentTab = 'current';
+        this.compareCountries = [];
+        this.compareCategory = null;
+        this.rankingCategory = null;
+        this.rankingSort = { key: 'current', direction: 'asc' };
+        this.mapCategory = null;
+        this.changesWeeks = { from: null, to: null };
+        this.forecastHorizon = 8;
+        this.historicalCategory = null;
+        this.historicalRange = 'all';
+        this.historicalRanges = { '3m': 13, '6m': 26, '1y': 52, all: null };
+        this.restoringUrl = false;
+        this.initialized = false;
+        this.validationReports = [];
         this.isLoading = false;
+
+        setServicesI18n(this.i18n);
+        setServicesCategories(this.categoryService);
+        setServicesDataService(this.dataService);
+        this.categoryService.onUnknown = () => this.displayCategoryWarning();
     }
 
     /**
@@ -14,27 +64,49 @@ class IRCCApp {
      */
     async init() {
         try {
-            this.showLoading('Initializing application...');
+            this.i18n.applyTranslations();
+            this.showLoading(this.i18n.t('app.initializing'));
             
             // Initialize data service
             await this.dataService.initialize();
+            this.checkCategories();
+            this.validateData();
+            this.checkAlerts();
+            
+            // Restore the view from a shared link before building the controls
+            const urlState = this.urlState.read();
+            this.restoreUrlSelections(urlState);
             
             // Setup UI components
             this.setupCountryDropdown();
+            this.setupCompareControls();
+            this.setupRankingControls();
+            this.setupMapControls();
+            this.setupHistoricalControls();
+            this.setupEstimatorControls();
+            this.setupAlertControls();
             this.setupEventListeners();
             this.displayLastUpdated();
             
             // Load weekly data in background
             this.loadWeeklyDataAsync();
             
-            // Auto-select first country
-            this.selectFirstCountry();
+            // Select the linked country, or the first one
+            this.restoringUrl = true;
+            if (!this.restoreUrlView(urlState)) {
+                this.selectFirstCountry();
+            }
+            this.restoringUrl = false;
+            
+            this.initialized = true;
+            this.updateUrl({ replace: true });
+            this.urlState.onChange(state => this.applyUrlState(state));
             
             this.hideLoading();
             
         } catch (error) {
             console.error('Failed to initialize application:', error);
-            this.showError('Failed to load IRCC processing times data');
+            this.showError(this.i18n.t('app.loadFailed'));
         }
     }
 
@@ -49,10 +121,10 @@ class IRCCApp {
         if (!countries) return;
 
         // Clear existing options
-        countrySelect.innerHTML = '<option value="">Select a country...</option>';
+        countrySelect.innerHTML = `<option value="">${this.i18n.t('app.countryPlaceholder')}</option>`;
 
         // Sort countries alphabetically
-        const sortedCountries = Object.entries(countries).sort(([,a], [,b]) => a.localeCompare(b));
+        const sortedCountries = Object.entries(countries).sort(([,a], [,b]) => a.localeCompare(b, this.i18n.getLocale()));
 
         // Populate dropdown
         sortedCountries.forEach(([code, name]) => {
@@ -63,6 +135,425 @@ class IRCCApp {
         });
     }
 
+    /**
+     * Setup country and category selectors for the comparison view
+     */
+    setupCompareControls() {
+        const countriesSelect = document.getElementById('compare-countries');
+        const categorySelect = document.getElementById('compare-category');
+        if (!countriesSelect || !categorySelect) return;
+
+        const countries = this.dataService.getCountries();
+        if (countries) {
+            countriesSelect.innerHTML = '';
+            Object.entries(countries)
+                .sort(([,a], [,b]) => a.localeCompare(b, this.i18n.getLocale()))
+                .forEach(([code, name]) => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.textContent = name;
+                    option.selected = this.compareCountries.includes(code);
+                    countriesSelect.appendChild(option);
+                });
+        }
+
+        const categories = this.dataService.getSeriesKeys();
+        if (!this.compareCategory || !categories.includes(this.compareCategory)) {
+            this.compareCategory = categories[0] || null;
+        }
+
+        categorySelect.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = this.formatCategoryName(category);
+            categorySelect.appendChild(option);
+        });
+        categorySelect.value = this.compareCategory || '';
+    }
+
+    /**
+     * Setup the category selector for the rankings view
+     */
+    setupRankingControls() {
+        const categorySelect = document.getElementById('ranking-category');
+        if (!categorySelect) return;
+
+        const categories = this.dataService.getSeriesKeys();
+        if (!this.rankingCategory || !categories.includes(this.rankingCategory)) {
+            this.rankingCategory = categories[0] || null;
+        }
+
+        categorySelect.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = this.formatCategoryName(category);
+            categorySelect.appendChild(option);
+        });
+        categorySelect.value = this.rankingCategory || '';
+
+        this.displayRanking();
+    }
+
+    /**
+     * Setup the category selector for the map view
+     */
+    setupMapControls() {
+        const categorySelect = document.getElementById('map-category');
+        if (!categorySelect) return;
+
+        const categories = this.dataService.getSeriesKeys();
+        if (!this.mapCategory || !categories.includes(this.mapCategory)) {
+            this.mapCategory = categories[0] || null;
+        }
+
+        categorySelect.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = this.formatCategoryName(category);
+            categorySelect.appendChild(option);
+        });
+        categorySelect.value = this.mapCategory || '';
+    }
+
+    /**
+     * Setup the category and period selectors for the historical view
+     */
+    setupHistoricalControls() {
+        const categorySelect = document.getElementById('historical-category');
+        const rangeSelect = document.getElementById('historical-range');
+
+        const categories = this.dataService.getSeriesKeys();
+        if (this.historicalCategory && !categories.includes(this.historicalCategory)) {
+            this.historicalCategory = null;
+        }
+
+        if (categorySelect) {
+            categorySelect.innerHTML = `<option value="">${this.i18n.t('historical.allCategories')}</option>`;
+            categories.forEach(category => {
+                const option = document.createElement('option');
+                option.value = category;
+                option.textContent = this.formatCategoryName(category);
+                categorySelect.appendChild(option);
+            });
+            categorySelect.value = this.historicalCategory || '';
+        }
+
+        if (rangeSelect) {
+            rangeSelect.value = this.historicalRange;
+        }
+    }
+
+    /**
+     * Setup the week pickers for the changes view, defaulting to the latest pair of snapshots
+     */
+    setupChangesControls() {
+        const fromSelect = document.getElementById('changes-from');
+        const toSelect = document.getElementById('changes-to');
+        if (!fromSelect || !toSelect) return;
+
+        const weeks = this.dataService.getAvailableWeeks('processing-times');
+        if (!weeks.includes(this.changesWeeks.from) || !weeks.includes(this.changesWeeks.to)) {
+            this.changesWeeks = {
+                from: weeks.length > 1 ? weeks[weeks.length - 2] : null,
+                to: weeks.length > 0 ? weeks[weeks.length - 1] : null
+            };
+        }
+
+        [fromSelect, toSelect].forEach(select => {
+            select.innerHTML = '';
+            weeks.slice().reverse().forEach(week => {
+                const option = document.createElement('option');
+                option.value = week;
+                option.textContent = week;
+                select.appendChild(option);
+            });
+        });
+
+        fromSelect.value = this.changesWeeks.from || '';
+        toSelect.value = this.changesWeeks.to || '';
+
+        this.displayChanges();
+    }
+
+    /**
+     * Setup the application type, country and date inputs for the estimator
+     */
+    setupEstimatorControls() {
+        const typeSelect = document.getElementById('estimator-type');
+        const countrySelect = document.getElementById('estimator-country');
+        const dateInput = document.getElementById('estimator-date');
+        if (!typeSelect || !countrySelect || !dateInput) return;
+
+        this.populateApplicationTypes(typeSelect);
+        this.populateCountryOptions(countrySelect, countrySelect.value || this.currentCountry || '');
+
+        if (!dateInput.value) {
+            // Today's local date; toISOString() gives the UTC date, which is tomorrow on Canadian evenings
+            const today = new Date();
+            dateInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        }
+
+        this.updateEstimatorCountryState();
+    }
+
+    /**
+     * Fill a select with the country categories and in-Canada services as category:<key> and service:<key>
+     */
+    populateApplicationTypes(typeSelect) {
+        const selectedType = typeSelect.value;
+
+        typeSelect.innerHTML = '';
+
+        const countryGroup = document.createElement('optgroup');
+        countryGroup.label = this.i18n.t('estimator.groupCountry');
+        this.dataService.getSeriesKeys().forEach(category => {
+            const option = document.createElement('option');
+            option.value = `category:${category}`;
+            option.textContent = this.formatCategoryName(category);
+            countryGroup.appendChild(option);
+        });
+        typeSelect.appendChild(countryGroup);
+
+        const servicesGroup = document.createElement('optgroup');
+        servicesGroup.label = this.i18n.t('estimator.groupServices');
+        this.dataService.getInCanadaServices().forEach(({ category, service }) => {
+            const option = document.createElement('option');
+            option.value = `service:${service}`;
+            option.textContent = formatServiceName(category, service);
+            servicesGroup.appendChild(option);
+        });
+        typeSelect.appendChild(servicesGroup);
+
+        if (selectedType) {
+            typeSelect.value = selectedType;
+        }
+    }
+
+    /**
+     * Fill a select with the countries in alphabetical order
+     */
+    populateCountryOptions(countrySelect, selectedCountry) {
+        countrySelect.innerHTML = '';
+        Object.entries(this.dataService.getCountries() || {})
+            .sort(([,a], [,b]) => a.localeCompare(b, this.i18n.getLocale()))
+            .forEach(([code, name]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = name;
+                countrySelect.appendChild(option);
+            });
+        countrySelect.value = selectedCountry;
+    }
+
+    /**
+     * Only country-specific application types need an origin country
+     */
+    updateEstimatorCountryState() {
+        const typeSelect = document.getElementById('estimator-type');
+        const countrySelect = document.getElementById('estimator-country');
+        if (!typeSelect || !countrySelect) return;
+
+        countrySelect.disabled = !typeSelect.value.startsWith('category:');
+    }
+
+    /**
+     * Setup the application type and country inputs for new alert rules
+     */
+    setupAlertControls() {
+        const typeSelect = document.getElementById('alert-type');
+        const countrySelect = document.getElementById('alert-country');
+        if (!typeSelect || !countrySelect) return;
+
+        this.populateApplicationTypes(typeSelect);
+        this.populateCountryOptions(countrySelect, countrySelect.value || this.currentCountry || '');
+        this.updateAlertFormState();
+        this.displayAlerts();
+    }
+
+    /**
+     * Only country categories need a country, and only thresholds need a number of days
+     */
+    updateAlertFormState() {
+        const typeSelect = document.getElementById('alert-type');
+        const countrySelect = document.getElementById('alert-country');
+        const conditionSelect = document.getElementById('alert-condition');
+        const thresholdInput = document.getElementById('alert-threshold');
+        if (!typeSelect || !countrySelect || !conditionSelect || !thresholdInput) return;
+
+        countrySelect.disabled = !typeSelect.value.startsWith('category:');
+        thresholdInput.disabled = conditionSelect.value === 'change';
+    }
+
+    /**
+     * Save a watch rule from the alert form
+     *
+     * Notification permission is requested here so the browser prompt follows a click.
+     */
+    addAlertRule() {
+        const typeSelect = document.getElementById('alert-type');
+        const countrySelect = document.getElementById('alert-country');
+        const conditionSelect = document.getElementById('alert-condition');
+        const thresholdInput = document.getElementById('alert-threshold');
+        if (!typeSelect || !countrySelect || !conditionSelect || !thresholdInput) return;
+
+        const [kind, key] = typeSelect.value.split(/:(.*)/);
+        const condition = conditionSelect.value;
+        const threshold = parseFloat(thresholdInput.value);
+
+        if (kind === 'category' && !countrySelect.value) {
+            this.displayAlertMessage(this.i18n.t('alerts.needsCountry'), 'error');
+            return;
+        }
+        if (condition !== 'change' && !(threshold > 0)) {
+            this.displayAlertMessage(this.i18n.t('alerts.needsThreshold'), 'error');
+            return;
+        }
+
+        try {
+            const rule = this.alertService.addRule({ kind, key, country: countrySelect.value, condition, threshold });
+            this.displayAlertMessage(this.i18n.t('alerts.added', { rule: this.describeAlertRule(rule) }), 'loading');
+        } catch (error) {
+            console.warn('Could not add alert rule:', error);
+            this.displayAlertMessage(error.message, 'error');
+            return;
+        }
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Promise.resolve(Notification.requestPermission())
+                .catch(error => console.warn('Could not ask for notification permission:', error));
+        }
+        this.displayAlerts();
+    }
+
+    /**
+     * Show a message under the alert form; tone is a status-message class
+     */
+    displayAlertMessage(message, tone) {
+        const messageDiv = document.getElementById('alert-message');
+        if (!messageDiv) return;
+
+        messageDiv.textContent = message;
+        messageDiv.className = `status-message ${tone}`;
+    }
+
+    /**
+     * Check the watch rules against newly published data and announce the ones that fired
+     */
+    checkAlerts() {
+        const fired = this.alertService.check();
+        if (fired.length === 0) return;
+
+        this.displayAlerts();
+
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        fired.forEach(alert => {
+            try {
+                new Notification(this.i18n.t('alerts.notificationTitle'), {
+                    body: this.i18n.t('alerts.notificationBody', {
+                        rule: this.describeAlertRule(alert.rule),
+                        before: this.formatAlertValue(alert.before),
+                        after: this.formatAlertValue(alert.after)
+                    }),
+                    tag: `ircc-alert-${alert.rule.id}`
+                });
+            } catch (error) {
+                // Some mobile browsers only allow notifications from a service worker
+                console.warn('Could not show notification:', error);
+            }
+        });
+    }
+
+    /**
+     * Display the watch rules and the alerts that fired
+     */
+    displayAlerts() {
+        const rulesDiv = document.getElementById('alert-rules');
+        const firedDiv = document.getElementById('alert-fired');
+        if (!rulesDiv || !firedDiv) return;
+
+        const rules = this.alertService.getRules();
+        rulesDiv.innerHTML = rules.length === 0
+            ? `<p>${this.i18n.t('alerts.noRules')}</p>`
+            : `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>${this.i18n.t('alerts.rule')}</th>
+                            <th>${this.i18n.t('alerts.lastValue')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rules.map(rule => `
+                            <tr>
+                                <td>${this.describeAlertRule(rule)}</td>
+                                <td>${this.formatAlertValue(rule.value)}</td>
+                                <td><button type="button" data-remove-alert="${rule.id}">${this.i18n.t('alerts.remove')}</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        const fired = this.alertService.getFired();
+        firedDiv.innerHTML = fired.length === 0
+            ? `<p>${this.i18n.t('alerts.noneFired')}</p>`
+            : `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>${this.i18n.t('alerts.update')}</th>
+                            <th>${this.i18n.t('alerts.rule')}</th>
+                            <th>${this.i18n.t('alerts.before')}</th>
+                            <th>${this.i18n.t('alerts.after')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${fired.map(alert => `
+                            <tr>
+                                <td>${alert.lastupdated}</td>
+                                <td>${this.describeAlertRule(alert.rule)}</td>
+                                <td>${this.formatAlertValue(alert.before)}</td>
+                                <td>${this.formatAlertValue(alert.after)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button type="button" id="alert-clear">${this.i18n.t('alerts.clear')}</button>
+            `;
+    }
+
+    /**
+     * Describe a watch rule, e.g. "Work permit from Philippines drops below 60 days"
+     */
+    describeAlertRule(rule) {
+        let target;
+        if (rule.kind === 'category') {
+            const countries = this.dataService.getCountries() || {};
+            target = this.i18n.t('estimator.labelFrom', {
+                category: this.formatCategoryName(rule.key),
+                country: countries[rule.country] || rule.country
+            });
+        } else {
+            target = formatServiceName(rule.serviceCategory, rule.key);
+        }
+
+        if (rule.condition === 'change') {
+            return this.i18n.t('alerts.ruleChange', { target });
+        }
+        return this.i18n.t(rule.condition === 'below' ? 'alerts.ruleBelow' : 'alerts.ruleAbove', {
+            target,
+            days: this.i18n.days(rule.threshold)
+        });
+    }
+
+    formatAlertValue(value) {
+        return value === null || value === undefined ? this.i18n.t('common.notAvailable') : this.renderData(value);
+    }
+
     /**
      * Setup event listeners
      */
@@ -74,6 +565,153 @@ class IRCCApp {
             });
         }
 
+        const compareCountriesSelect = document.getElementById('compare-countries');
+        if (compareCountriesSelect) {
+            compareCountriesSelect.addEventListener('change', (e) => {
+                this.compareCountries = Array.from(e.target.selectedOptions).map(option => option.value);
+                this.displayComparison();
+                this.updateUrl();
+            });
+        }
+
+        const compareCategorySelect = document.getElementById('compare-category');
+        if (compareCategorySelect) {
+            compareCategorySelect.addEventListener('change', (e) => {
+                this.compareCategory = e.target.value;
+                this.displayComparison();
+                this.updateUrl();
+            });
+        }
+
+        const rankingCategorySelect = document.getElementById('ranking-category');
+        if (rankingCategorySelect) {
+            rankingCategorySelect.addEventListener('change', (e) => {
+                this.rankingCategory = e.target.value;
+                this.displayRanking();
+                this.updateUrl();
+            });
+        }
+
+        const hideUnavailable = document.getElementById('ranking-hide-unavailable');
+        if (hideUnavailable) {
+            hideUnavailable.addEventListener('change', () => {
+                this.displayRanking();
+            });
+        }
+
+        document.querySelectorAll('#ranking-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                const direction = this.rankingSort.key === key && this.rankingSort.direction === 'asc' ? 'desc' : 'asc';
+                this.rankingSort = { key, direction };
+                this.displayRanking();
+            });
+        });
+
+        const mapCategorySelect = document.getElementById('map-category');
+        if (mapCategorySelect) {
+            mapCategorySelect.addEventListener('change', (e) => {
+                this.mapCategory = e.target.value;
+                this.displayMap();
+                this.updateUrl();
+            });
+        }
+
+        const historicalCategorySelect = document.getElementById('historical-category');
+        if (historicalCategorySelect) {
+            historicalCategorySelect.addEventListener('change', (e) => {
+                this.historicalCategory = e.target.value || null;
+                this.refreshHistoricalChart();
+                this.updateUrl();
+            });
+        }
+
+        const historicalRangeSelect = document.getElementById('historical-range');
+        if (historicalRangeSelect) {
+            historicalRangeSelect.addEventListener('change', (e) => {
+                this.historicalRange = e.target.value;
+                this.refreshHistoricalChart();
+                this.updateUrl();
+            });
+        }
+
+        ['changes-from', 'changes-to'].forEach(id => {
+            const weekSelect = document.getElementById(id);
+            if (weekSelect) {
+                weekSelect.addEventListener('change', () => {
+                    this.changesWeeks = {
+                        from: document.getElementById('changes-from').value,
+                        to: document.getElementById('changes-to').value
+                    };
+                    this.displayChanges();
+                    this.updateUrl();
+                });
+            }
+        });
+
+        const forecastHorizon = document.getElementById('forecast-horizon');
+        if (forecastHorizon) {
+            forecastHorizon.addEventListener('change', (e) => {
+                this.forecastHorizon = parseInt(e.target.value);
+                this.refreshHistoricalChart();
+            });
+        }
+
+        const estimatorType = document.getElementById('estimator-type');
+        if (estimatorType) {
+            estimatorType.addEventListener('change', () => {
+                this.updateEstimatorCountryState();
+            });
+        }
+
+        const estimatorForm = document.getElementById('estimator-form');
+        if (estimatorForm) {
+            estimatorForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.displayEstimate();
+            });
+        }
+
+        ['alert-type', 'alert-condition'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.updateAlertFormState());
+            }
+        });
+
+        const alertForm = document.getElementById('alert-form');
+        if (alertForm) {
+            alertForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addAlertRule();
+            });
+        }
+
+        const alertsTab = document.getElementById('alerts-tab');
+        if (alertsTab) {
+            alertsTab.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-remove-alert]');
+                if (removeButton) {
+                    this.alertService.removeRule(removeButton.dataset.removeAlert);
+                    this.displayAlerts();
+                } else if (e.target.id === 'alert-clear') {
+                    this.alertService.clearFired();
+                    this.displayAlerts();
+                }
+            });
+        }
+
+        document.querySelectorAll('.export-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportData(button.dataset.export, button.dataset.format);
+            });
+        });
+
+        const reportButton = document.getElementById('country-report-button');
+        if (reportButton) {
+            reportButton.addEventListener('click', () => this.downloadCountryReport());
+        }
+
         // Setup tab switching if tabs exist
         const tabs = document.querySelectorAll('.tab-button');
         tabs.forEach(tab => {
@@ -89,6 +727,13 @@ class IRCCApp {
                 this.refreshData();
             });
         }
+
+        const languageToggle = document.getElementById('language-toggle');
+        if (languageToggle) {
+            languageToggle.addEventListener('click', () => {
+                this.setLanguage(this.i18n.language === 'fr' ? 'en' : 'fr');
+            });
+        }
     }
 
     /**
@@ -101,6 +746,7 @@ class IRCCApp {
         }
 
         this.currentCountry = countryCode;
+        this.updateUrl();
         
         // Update current data table
         this.displayCurrentData(countryCode);
@@ -111,6 +757,27 @@ class IRCCApp {
         }
     }
 
+    /**
+     * Redraw the historical chart for the selected country once weekly data is loaded
+     */
+    refreshHistoricalChart() {
+        if (this.currentCountry && this.dataService.weeklyData.length > 0) {
+            this.displayHistoricalChart(this.currentCountry);
+        }
+    }
+
+    /**
+     * Keep only the entries inside the selected historical period
+     */
+    filterHistoricalRange(historicalData) {
+        const weeks = this.historicalRanges[this.historicalRange];
+        if (!weeks || historicalData.length === 0) return historicalData;
+
+        const latestWeek = historicalData.reduce((latest, entry) => (entry.week > latest ? entry.week : latest), '');
+        const firstWeek = this.dataService.shiftIsoWeek(latestWeek, -(weeks - 1));
+        return firstWeek ? historicalData.filter(entry => entry.week >= firstWeek) : historicalData;
+    }
+
     /**
      * Display current processing times for selected country
      */
@@ -123,37 +790,154 @@ class IRCCApp {
         tableBody.innerHTML = '';
 
         if (!countryData) {
-            tableBody.innerHTML = '<tr><td colspan="2">No processing time data available for this country</td></tr>';
+            tableBody.innerHTML = `<tr><td colspan="2">${this.i18n.t('current.noData')}</td></tr>`;
             return;
         }
 
         Object.entries(countryData).forEach(([category, data]) => {
             const row = document.createElement('tr');
-            const categoryName = category.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+            const categoryName = this.formatCategoryName(category);
             const renderedData = this.renderData(data);
+            const anomaly = this.getLatestAnomaly(countryCode, category);
+            const badge = anomaly
+                ? `<span class="anomaly-badge" title="${this.i18n.t('anomaly.title', { days: this.i18n.days(anomaly.median) })}">${this.i18n.t('anomaly.badge')}</span>`
+                : '';
             
             row.innerHTML = `
-                <td class="font-medium">${categoryName}</td>
-                <td>${renderedData}</td>
+                <td class="font-medium" title="${this.categoryService.description(category)}">${categoryName}</td>
+                <td>${renderedData} ${badge}</td>
             `;
             
             tableBody.appendChild(row);
         });
     }
 
+    /**
+     * Check whether the latest weekly value for a country/category jumped abnormally
+     */
+    getLatestAnomaly(countryCode, category) {
+        if (this.dataService.weeklyData.length === 0) return null;
+
+        const result = this.anomalyService.detectLatest(this.dataService.getNormalizedSeries(countryCode, category));
+        return result && result.anomaly ? result : null;
+    }
+
+    /**
+     * Format a category key for display
+     */
+    formatCategoryName(category) {
+        return this.categoryService.label(category);
+    }
+
+    /**
+     * Check the loaded data files against the category registry
+     */
+    checkCategories() {
+        this.categoryService.checkData({
+            current: this.dataService.currentData,
+            inCanada: this.dataService.inCanadaData
+        });
+        this.displayCategoryWarning();
+    }
+
+    /**
+     * Show which keys are missing from the category registry
+     */
+    displayCategoryWarning() {
+        const warning = document.getElementById('category-warning');
+        if (!warning) return;
+
+        const unknownKeys = this.categoryService.getUnknownKeys();
+        warning.textContent = unknownKeys.length > 0
+            ? this.i18n.t('app.unknownCategories', { keys: unknownKeys.join(', ') })
+            : '';
+        warning.classList.toggle('hidden', unknownKeys.length === 0);
+    }
+
+    /**
+     * Validate the current data files and the newest weekly snapshots
+     *
+     * Snapshots are compared with the week before so drift shows up in the reports.
+     */
+    validateData() {
+        const current = [
+            ['processing-times', 'ptime', this.dataService.currentData],
+            ['in-canada-services', 'ptime-non-country', this.dataService.inCanadaData],
+            ['country-names', 'country-name', this.dataService.countries]
+        ];
+
+        this.validationReports = current
+            .filter(([, , data]) => data)
+            .map(([type, name, data]) => {
+                const language = this.dataService.languageFallbacks.has(name) ? 'en' : this.dataService.language;
+                return this.validationService.validate(type, data, { file: `data-${name}-${language}.json` });
+            });
+
+        this.dataService.snapshotTypes.forEach(type => {
+            const series = this.dataService.getSnapshotSeries(type);
+            if (series.length === 0) return;
+
+            const latest = series[series.length - 1];
+            const previous = series.length > 1 ? series[series.length - 2] : null;
+            this.validationReports.push(this.validationService.validate(type, latest.data, {
+                file: latest.filename,
+                previous: previous ? previous.data : null
+            }));
+        });
+
+        this.validationReports
+            .filter(report => !report.valid)
+            .forEach(report => console.warn(`Validation failed for ${report.file}:`, report.errors));
+        this.displayValidationWarning();
+    }
+
+    /**
+     * Show a banner when the latest data failed validation
+     */
+    displayValidationWarning() {
+        const warning = document.getElementById('validation-warning');
+        if (!warning) return;
+
+        const failed = this.validationReports.filter(report => !report.valid);
+        warning.innerHTML = '';
+        warning.classList.toggle('hidden', failed.length === 0);
+        if (failed.length === 0) return;
+
+        const message = document.createElement('p');
+        message.textContent = this.i18n.t('app.validationFailed', {
+            files: failed.map(report => report.file).join(', ')
+        });
+        warning.appendChild(message);
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = this.i18n.t('app.validationDetails');
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        failed.forEach(report => {
+            report.errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = `${report.file}${error.path ? ` (${error.path})` : ''}: ${error.message}`;
+                list.appendChild(item);
+            });
+        });
+        details.appendChild(list);
+        warning.appendChild(details);
+    }
+
     /**
      * Render data dynamically based on its structure
      */
     renderData(data) {
         if (typeof data === 'string' || typeof data === 'number' || typeof data === 'boolean') {
-            return data || "Not available";
+            return data ? this.i18n.formatDuration(this.durationService.parse(data)) : this.i18n.t('common.notAvailable');
         }
 
         if (typeof data === "object" && !Array.isArray(data) && data !== null) {
             let rowData = '';
             Object.entries(data).forEach(([key, value]) => {
-                const displayKey = key.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-                rowData += `<div class="mb-1"><strong>${displayKey}:</strong> ${this.renderData(value)}</div>`;
+                rowData += `<div class="mb-1"><strong>${this.formatCategoryName(key)}:</strong> ${this.renderData(value)}</div>`;
             });
             return rowData;
         }
@@ -162,7 +946,7 @@ class IRCCApp {
             return `<ul class="list-disc list-inside">${data.map(item => `<li>${this.renderData(item)}</li>`).join('')}</ul>`;
         }
 
-        return "Not available";
+        return this.i18n.t('common.notAvailable');
     }
 
     /**
@@ -172,46 +956,622 @@ class IRCCApp {
         const chartContainer = document.getElementById('chart-container');
         if (!chartContainer) return;
 
-        const historicalData = this.dataService.getHistoricalData(countryCode);
+        // Forecasts use the whole series; the period only narrows what is drawn
+        const fullData = this.dataService.getHistoricalData(countryCode, this.historicalCategory);
+        const historicalData = this.filterHistoricalRange(fullData);
         
         if (historicalData.length === 0) {
-            chartContainer.innerHTML = '<p class="text-gray-500 text-center">No historical data available for this country</p>';
+            chartContainer.innerHTML = `<p class="text-gray-500 text-center">${this.i18n.t('historical.noData')}</p>`;
             return;
         }
 
         const countries = this.dataService.getCountries();
         const countryName = countries ? countries[countryCode] : countryCode;
+        const forecasts = this.calculateForecasts(fullData);
+
+        this.displayForecastSummary(forecasts);
 
         this.chartService.createHistoricalChart(
             'chart-container',
             'historical-chart',
             historicalData,
             {
-                title: `Processing Times for ${countryName}`,
-                yAxisLabel: 'Processing Time (varies by category)'
+                title: this.i18n.t('chart.titleFor', { name: countryName }),
+                yAxisLabel: this.i18n.t('chart.yAxis'),
+                showAnomalies: true,
+                forecasts,
+                labelFor: category => this.formatCategoryName(category),
+                filename: `ircc-historical-${countryCode}`
+            }
+        );
+    }
+
+    /**
+     * Display the comparison chart and ranking table for the selected countries
+     */
+    displayComparison() {
+        const chartContainer = document.getElementById('compare-chart-container');
+        const tableBody = document.querySelector('#compare-table tbody');
+        if (!chartContainer || !tableBody) return;
+
+        const category = this.compareCategory;
+        const countryCodes = this.compareCountries;
+
+        if (!category || countryCodes.length === 0) {
+            chartContainer.innerHTML = `<p class="text-gray-500 text-center">${this.i18n.t('compare.selectBoth')}</p>`;
+            tableBody.innerHTML = `<tr><td colspan="4">${this.i18n.t('compare.selectCountries')}</td></tr>`;
+            return;
+        }
+
+        const countries = this.dataService.getCountries() || {};
+        const categoryName = this.formatCategoryName(category);
+
+        this.displayComparisonTable(tableBody, countryCodes, category, countries);
+
+        if (this.dataService.weeklyData.length === 0) {
+            chartContainer.innerHTML = `<p class="text-gray-500 text-center">${this.i18n.t('historical.stillLoading')}</p>`;
+            return;
+        }
+
+        const countriesData = {};
+        countryCodes.forEach(code => {
+            countriesData[code] = this.dataService.getHistoricalData(code, category);
+        });
+
+        chartContainer.innerHTML = '';
+        this.chartService.createComparisonChart(
+            'compare-chart-container',
+            'comparison-chart',
+            countriesData,
+            category,
+            {
+                title: this.i18n.t('chart.comparisonTitle', { category: categoryName }),
+                yAxisLabel: this.i18n.t('chart.yAxis'),
+                countryNames: countries,
+                filename: `ircc-compare-${category}`
             }
         );
     }
 
+    /**
+     * Rank the current processing times of the selected countries, fastest first
+     */
+    displayComparisonTable(tableBody, countryCodes, category, countries) {
+        const categoryData = this.dataService.getSeriesData()[category] || {};
+
+        const rows = countryCodes.map(code => ({
+            code,
+            name: countries[code] || code,
+            value: categoryData[code],
+            duration: this.durationService.parse(categoryData[code])
+        }));
+
+        // Countries without a usable duration sort after the ranked ones
+        rows.sort((a, b) => {
+            const aDays = a.duration.days ?? Infinity;
+            const bDays = b.duration.days ?? Infinity;
+            return aDays - bDays || a.name.localeCompare(b.name);
+        });
+
+        tableBody.innerHTML = '';
+        let rank = 0;
+        rows.forEach(row => {
+            const ranked = row.duration.status === 'ok';
+            if (ranked) rank++;
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${ranked ? rank : '-'}</td>
+                <td class="font-medium">${row.name}</td>
+                <td>${row.value === undefined ? this.i18n.t('common.notAvailable') : this.renderData(row.value)}</td>
+                <td>${ranked ? Math.round(row.duration.days) : '-'}</td>
+            `;
+            tableBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Display the league table of every country for the selected category
+     */
+    displayRanking() {
+        const tableBody = document.querySelector('#ranking-table tbody');
+        if (!tableBody || !this.rankingCategory) return;
+
+        this.displayCoverage();
+
+        const hideUnavailable = document.getElementById('ranking-hide-unavailable');
+        let rows = this.dataService.getCategoryRanking(this.rankingCategory);
+
+        if (hideUnavailable && hideUnavailable.checked) {
+            rows = rows.filter(row => row.duration.status !== 'unavailable');
+        }
+
+        const { key, direction } = this.rankingSort;
+        const sortValue = {
+            name: row => row.name,
+            current: row => row.duration.days,
+            weekChange: row => row.weekChange,
+            quarterChange: row => row.quarterChange
+        }[key];
+        const sign = direction === 'asc' ? 1 : -1;
+
+        rows.sort((a, b) => {
+            const aValue = sortValue(a);
+            const bValue = sortValue(b);
+
+            // Rows without a value always sort last
+            if (aValue === null && bValue === null) return a.name.localeCompare(b.name);
+            if (aValue === null) return 1;
+            if (bValue === null) return -1;
+
+            const order = typeof aValue === 'string' ? aValue.localeCompare(bValue) : aValue - bValue;
+            return sign * order || a.name.localeCompare(b.name);
+        });
+
+        document.querySelectorAll('#ranking-table th[data-sort]').forEach(header => {
+            const arrow = header.dataset.sort === key ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+            header.textContent = this.i18n.t(header.dataset.i18n) + arrow;
+        });
+
+        tableBody.innerHTML = '';
+
+        if (rows.length === 0) {
+            tableBody.innerHTML = `<tr><td colspan="5">${this.i18n.t('ranking.empty')}</td></tr>`;
+            return;
+        }
+
+        let rank = 0;
+        rows.forEach(row => {
+            const ranked = row.duration.status === 'ok';
+            if (ranked) rank++;
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${ranked && key === 'current' ? rank : '-'}</td>
+                <td class="font-medium">${row.name}</td>
+                <td>${this.renderData(row.value)}</td>
+                <td>${this.formatChange(row.weekChange)}</td>
+                <td>${this.formatChange(row.quarterChange)}</td>
+            `;
+            tableBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Show how many countries have a usable processing time for the ranked category, and which
+     */
+    displayCoverage() {
+        const coverage = document.getElementById('ranking-coverage');
+        if (!coverage) return;
+
+        const { total, withData } = this.dataService.getSeriesCoverage(this.rankingCategory);
+        const names = withData.map(entry => entry.name).join(', ');
+
+        coverage.innerHTML = `
+            <p>${this.i18n.t('ranking.coverage', {
+                count: withData.length,
+                total,
+                category: this.formatCategoryName(this.rankingCategory)
+            })}</p>
+            ${withData.length > 0 ? `<details><summary>${this.i18n.t('ranking.coverageList')}</summary><p>${names}</p></details>` : ''}
+        `;
+    }
+
+    /**
+     * Format a change in days with its direction
+     */
+    formatChange(change) {
+        if (change === null || change === undefined) return '-';
+
+        const days = Math.round(change);
+        if (days === 0) return this.i18n.t('common.noChange');
+        return `<span class="${days > 0 ? 'change-up' : 'change-down'}">${days > 0 ? '+' : ''}${this.i18n.days(days)}</span>`;
+    }
+
+    /**
+     * Display the choropleth map for the selected category
+     */
+    async displayMap() {
+        const mapContainer = document.getElementById('map-container');
+        if (!mapContainer || !this.mapCategory) return;
+
+        const entries = {};
+        this.dataService.getCategoryRanking(this.mapCategory).forEach(row => {
+            entries[row.country] = row;
+        });
+
+        try {
+            await this.mapService.renderMap('map-container', entries, {
+                title: this.i18n.t('map.title', { category: this.formatCategoryName(this.mapCategory) }),
+                onSelect: (countryCode) => this.selectCountry(countryCode)
+            });
+        } catch (error) {
+            console.error('Error rendering map:', error);
+            mapContainer.innerHTML = `<p class="text-gray-500 text-center">${this.i18n.t('map.unavailable')}</p>`;
+        }
+    }
+
+    /**
+     * Select a country in the dropdown and show its current times
+     */
+    selectCountry(countryCode) {
+        const countrySelect = document.getElementById('country');
+        if (countrySelect) {
+            countrySelect.value = countryCode;
+            countrySelect.dispatchEvent(new Event('change'));
+        }
+        this.switchTab('current');
+    }
+
+    /**
+     * Display what changed between the two selected weeks
+     */
+    displayChanges() {
+        const summary = document.getElementById('changes-summary');
+        const countryBody = document.querySelector('#changes-table tbody');
+        const servicesBody = document.querySelector('#changes-services-table tbody');
+        const structure = document.getElementById('changes-structure');
+        if (!summary || !countryBody || !servicesBody || !structure) return;
+
+        const { from, to } = this.changesWeeks;
+        if (!from || !to) {
+            summary.innerHTML = `<p>${this.i18n.t('changes.needTwo')}</p>`;
+            return;
+        }
+
+        const countries = this.dataService.getCountries() || {};
+        const beforeTimes = this.dataService.getSnapshot('processing-times', from);
+        const afterTimes = this.dataService.getSnapshot('processing-times', to);
+        const beforeServices = this.dataService.getSnapshot('in-canada-services', from);
+        const afterServices = this.dataService.getSnapshot('in-canada-services', to);
+
+        // Compare series so sub-measures such as refugees_private.sponsor are diffed like categories
+        const timesDiff = this.diffService.diffProcessingTimes(
+            beforeTimes ? this.dataService.getSeriesData(beforeTimes.data) : {},
+            afterTimes ? this.dataService.getSeriesData(afterTimes.data) : {}
+        );
+        const servicesDiff = beforeServices && afterServices
+            ? this.diffService.diffInCanadaServices(beforeServices.data, afterServices.data)
+            : null;
+
+        const countChanges = (diff, direction) => diff ? diff.changes.filter(change => change.direction === direction).length : 0;
+        const describeCounts = diff => this.i18n.t('changes.counts', {
+            slower: countChanges(diff, 'increase'),
+            faster: countChanges(diff, 'decrease'),
+            status: countChanges(diff, 'status')
+        });
+
+        summary.innerHTML = `
+            <h3>${from} → ${to}</h3>
+            <p>
+                ${this.i18n.t('changes.summaryTimes', { counts: describeCounts(timesDiff) })}
+                ${this.i18n.t('changes.summaryServices', { counts: servicesDiff ? describeCounts(servicesDiff) : this.i18n.t('changes.noSnapshot') })}
+            </p>
+        `;
+
+        countryBody.innerHTML = '';
+        if (timesDiff.changes.length === 0) {
+            countryBody.innerHTML = `<tr><td colspan="5">${this.i18n.t('changes.noTimeChanges')}</td></tr>`;
+        }
+        timesDiff.changes.forEach(change => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${this.formatCategoryName(change.category)}</td>
+                <td class="font-medium">${countries[change.country] || change.country}</td>
+                <td>${this.renderData(change.before)}</td>
+                <td>${this.renderData(change.after)}</td>
+                <td>${change.direction === 'status' ? this.i18n.t('changes.statusChanged') : this.formatChange(change.change)}</td>
+            `;
+            countryBody.appendChild(row);
+        });
+
+        servicesBody.innerHTML = '';
+        if (!servicesDiff || servicesDiff.changes.length === 0) {
+            servicesBody.innerHTML = `<tr><td colspan="4">${this.i18n.t('changes.noServiceChanges')}</td></tr>`;
+        }
+        (servicesDiff ? servicesDiff.changes : []).forEach(change => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td class="font-medium">${formatServiceName(change.category, change.service)}</td>
+                <td>${this.renderData(change.before)}</td>
+                <td>${this.renderData(change.after)}</td>
+                <td>${change.direction === 'status' ? this.i18n.t('changes.statusChanged') : this.formatChange(change.change)}</td>
+            `;
+            servicesBody.appendChild(row);
+        });
+
+        const countryItem = (key, item) => this.i18n.t(key, {
+            category: this.formatCategoryName(item.category),
+            country: countries[item.country] || item.country
+        });
+        const structureItems = [
+            ...timesDiff.addedCategories.map(category => this.i18n.t('changes.categoryAdded', { category: this.formatCategoryName(category) })),
+            ...timesDiff.removedCategories.map(category => this.i18n.t('changes.categoryRemoved', { category: this.formatCategoryName(category) })),
+            ...timesDiff.addedItems.map(item => countryItem('changes.countryAdded', item)),
+            ...timesDiff.removedItems.map(item => countryItem('changes.countryRemoved', item))
+        ];
+        if (servicesDiff) {
+            structureItems.push(
+                ...servicesDiff.addedCategories.map(category => this.i18n.t('changes.serviceCategoryAdded', { category: getCategoryDisplayName(category) })),
+                ...servicesDiff.removedCategories.map(category => this.i18n.t('changes.serviceCategoryRemoved', { category: getCategoryDisplayName(category) })),
+                ...servicesDiff.addedItems.map(item => this.i18n.t('changes.serviceAdded', { service: formatServiceName(item.category, item.service) })),
+                ...servicesDiff.removedItems.map(item => this.i18n.t('changes.serviceRemoved', { service: formatServiceName(item.category, item.service) }))
+            );
+        }
+
+        structure.innerHTML = structureItems.length > 0
+            ? `<ul class="list-disc list-inside">${structureItems.map(item => `<li>${item}</li>`).join('')}</ul>`
+            : `<p>${this.i18n.t('changes.noStructure')}</p>`;
+    }
+
+    /**
+     * Forecast each category in a set of historical entries
+     */
+    calculateForecasts(historicalData) {
+        const forecasts = {};
+        const chartData = this.historyService.prepareChartData(historicalData);
+        const latestWeek = historicalData.reduce((latest, entry) => (entry.week > latest ? entry.week : latest), '');
+
+        Object.entries(chartData).forEach(([category, points]) => {
+            // Series that stopped reporting before the latest week are not projected
+            if (points.length === 0 || points[points.length - 1].week !== latestWeek) return;
+
+            const forecast = this.forecastService.forecast(points, { horizon: this.forecastHorizon });
+            if (forecast) {
+                forecasts[category] = forecast;
+            }
+        });
+
+        return forecasts;
+    }
+
+    /**
+     * List the forecast for each category below the historical chart
+     */
+    displayForecastSummary(forecasts) {
+        const summary = document.getElementById('forecast-summary');
+        if (!summary) return;
+
+        const items = Object.entries(forecasts).map(([category, forecast]) =>
+            `<li><strong>${this.formatCategoryName(category)}:</strong> ${this.forecastService.describe(forecast)}</li>`
+        );
+
+        summary.innerHTML = items.length > 0
+            ? `<ul class="list-disc list-inside">${items.join('')}</ul>`
+            : `<p>${this.i18n.t('forecast.notEnough')}</p>`;
+    }
+
+    /**
+     * Estimate the decision window for the estimator inputs
+     */
+    displayEstimate() {
+        const result = document.getElementById('estimator-result');
+        const typeSelect = document.getElementById('estimator-type');
+        const countrySelect = document.getElementById('estimator-country');
+        const dateInput = document.getElementById('estimator-date');
+        if (!result || !typeSelect || !countrySelect || !dateInput) return;
+
+        const [kind, key] = typeSelect.value.split(/:(.*)/);
+        const [year, month, day] = dateInput.value.split('-').map(Number);
+        if (!key || !year) {
+            result.innerHTML = `<p>${this.i18n.t('estimator.chooseInputs')}</p>`;
+            return;
+        }
+        const submissionDate = new Date(year, month - 1, day);
+
+        let label;
+        let currentValue;
+        let history;
+        if (kind === 'category') {
+            const countryCode = countrySelect.value;
+            const countries = this.dataService.getCountries() || {};
+            const categoryData = this.dataService.getSeriesData()[key] || {};
+            label = this.i18n.t('estimator.labelFrom', {
+                category: this.formatCategoryName(key),
+                country: countries[countryCode] || countryCode
+            });
+            currentValue = categoryData[countryCode];
+            history = this.dataService.getNormalizedSeries(countryCode, key);
+        } else {
+            label = typeSelect.selectedOptions[0].textContent;
+            currentValue = this.dataService.getServiceValue(key);
+            history = this.dataService.getServiceSeries(key);
+        }
+
+        const duration = this.durationService.parse(currentValue);
+        if (duration.days === null) {
+            result.innerHTML = `<p><strong>${label}:</strong> ${this.renderData(currentValue)}. ${this.i18n.t('estimator.needsPosted')}</p>`;
+            return;
+        }
+
+        const estimate = this.estimatorService.estimate({
+            currentDays: duration.days,
+            history,
+            submissionDate,
+            submissionWeek: this.dataService.formatIsoWeek(submissionDate)
+        });
+
+        const formatDate = date => this.i18n.formatDate(date);
+        const drift = estimate.drift
+            ? this.i18n.t('estimator.drift', {
+                week: estimate.drift.week,
+                before: this.i18n.days(estimate.drift.days),
+                after: this.i18n.days(duration.days),
+                change: this.formatChange(estimate.drift.change)
+            })
+            : this.i18n.t('estimator.noDrift');
+        const historyNote = this.dataService.weeklyData.length === 0
+            ? this.i18n.t('estimator.historyLoading')
+            : '';
+        const scenarioRow = (name, scenario) =>
+            `<tr><td>${this.i18n.t(name)}</td><td>${this.i18n.days(scenario.days)}</td><td>${formatDate(scenario.date)}</td></tr>`;
+
+        result.innerHTML = `
+            <h3>${label}</h3>
+            <p>${this.i18n.t('estimator.posted', {
+                value: this.renderData(currentValue),
+                elapsed: this.i18n.days(estimate.elapsedDays),
+                date: formatDate(submissionDate)
+            })}</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${this.i18n.t('estimator.scenario')}</th>
+                        <th>${this.i18n.t('common.processingTime')}</th>
+                        <th>${this.i18n.t('estimator.expectedDecision')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${scenarioRow('estimator.best', estimate.best)}
+                    ${scenarioRow('estimator.typical', estimate.typical)}
+                    ${scenarioRow('estimator.worst', estimate.worst)}
+                </tbody>
+            </table>
+            <p>${drift}${historyNote}</p>
+        `;
+    }
+
+    /**
+     * Download the data behind a view as CSV or JSON
+     */
+    exportData(kind, format) {
+        const rows = this.getExportRows(kind);
+        if (rows.length === 0) {
+            this.showError(this.i18n.t('common.nothingToExport'));
+            return;
+        }
+
+        const subject = {
+            current: this.currentCountry,
+            historical: this.currentCountry,
+            compare: this.compareCategory,
+            ranking: this.rankingCategory,
+            map: this.mapCategory,
+            services: 'in-canada'
+        }[kind];
+
+        const filename = ['ircc', kind, subject, this.dataService.getCurrentIsoWeek()].filter(Boolean).join('-');
+        this.exportService.exportRows(rows, filename, format);
+    }
+
+    /**
+     * Download a PDF report for the selected country
+     */
+    downloadCountryReport() {
+        if (!this.currentCountry) {
+            this.showError(this.i18n.t('report.selectCountry'));
+            return;
+        }
+        if (!this.reportService.isAvailable()) {
+            this.showError(this.i18n.t('report.libraryMissing'));
+            return;
+        }
+
+        const countries = this.dataService.getCountries() || {};
+        const countryCode = this.currentCountry;
+
+        try {
+            this.reportService.downloadCountryReport({
+                countryCode,
+                countryName: countries[countryCode] || countryCode,
+                currentData: this.dataService.getCountryData(countryCode),
+                historicalData: this.dataService.getHistoricalData(countryCode),
+                lastUpdated: this.dataService.getLastUpdatedDate() || this.dataService.getLastUpdated(),
+                labelFor: category => this.formatCategoryName(category)
+            }, ['ircc', 'report', countryCode, this.dataService.getCurrentIsoWeek()].filter(Boolean).join('-'));
+        } catch (error) {
+            console.error('Error building country report:', error);
+            this.showError(this.i18n.t('report.failed'));
+        }
+    }
+
+    /**
+     * Build tidy export rows for a view
+     */
+    getExportRows(kind) {
+        const countries = this.dataService.getCountries() || {};
+        const currentWeek = this.dataService.getCurrentIsoWeek();
+        const fromHistory = entry => this.exportService.createRow({
+            week: entry.week,
+            countryCode: entry.country,
+            countryName: countries[entry.country] || entry.country,
+            category: entry.category,
+            raw: entry.data
+        });
+        const fromRanking = category => row => this.exportService.createRow({
+            week: currentWeek,
+            countryCode: row.country,
+            countryName: row.name,
+            category,
+            raw: row.value
+        });
+
+        switch (kind) {
+            case 'current': {
+                const countryData = this.currentCountry ? this.dataService.getCountryData(this.currentCountry) : null;
+                return Object.entries(countryData || {}).map(([category, value]) => this.exportService.createRow({
+                    week: currentWeek,
+                    countryCode: this.currentCountry,
+                    countryName: countries[this.currentCountry] || this.currentCountry,
+                    category,
+                    raw: value
+                }));
+            }
+            case 'historical':
+                return this.currentCountry
+                    ? this.filterHistoricalRange(this.dataService.getHistoricalData(this.currentCountry, this.historicalCategory)).map(fromHistory)
+                    : [];
+            case 'compare':
+                return this.compareCountries.flatMap(code =>
+                    this.dataService.getHistoricalData(code, this.compareCategory).map(fromHistory)
+                );
+            case 'ranking':
+                return this.dataService.getCategoryRanking(this.rankingCategory).map(fromRanking(this.rankingCategory));
+            case 'map':
+                return this.dataService.getCategoryRanking(this.mapCategory).map(fromRanking(this.mapCategory));
+            case 'services':
+                return this.dataService.getInCanadaServices().map(({ service, value }) => this.exportService.createRow({
+                    week: currentWeek,
+                    category: service,
+                    raw: value
+                }));
+            default:
+                return [];
+        }
+    }
+
     /**
      * Load weekly data asynchronously
      */
     async loadWeeklyDataAsync() {
         try {
-            this.showLoadingMessage('Loading historical data...');
+            this.showLoadingMessage(this.i18n.t('historical.loading'));
             
-            await this.dataService.loadWeeklyData();
+            await this.dataService.loadWeeklyData(52, {
+                onProgress: ({ loaded, total }) => {
+                    this.showLoadingMessage(this.i18n.t('historical.loadingProgress', { loaded, total }));
+                }
+            });
             
             this.hideLoadingMessage();
+            this.validateData();
             
-            // Update chart if country is already selected
+            // Update table badges and chart if country is already selected
             if (this.currentCountry) {
+                this.displayCurrentData(this.currentCountry);
                 this.displayHistoricalChart(this.currentCountry);
             }
+
+            if (this.compareCountries.length > 0) {
+                this.displayComparison();
+            }
+
+            this.displayRanking();
+            this.setupChangesControls();
             
         } catch (error) {
             console.error('Error loading weekly data:', error);
-            this.showLoadingMessage('Historical data temporarily unavailable');
+            this.showLoadingMessage(this.i18n.t('historical.unavailable'));
         }
     }
 
@@ -224,7 +1584,13 @@ class IRCCApp {
 
         const lastUpdated = this.dataService.getLastUpdated();
         if (lastUpdated) {
-            lastUpdatedDiv.innerHTML = `<span class="text-sm text-gray-600">Data last updated: ${lastUpdated}</span>`;
+            const date = this.dataService.getLastUpdatedDate();
+            const notes = [
+                this.dataService.isUsingCachedData() ? this.i18n.t('app.offlineCopy') : '',
+                this.dataService.isUsingLanguageFallback() ? this.i18n.t('app.languageFallback') : ''
+            ].filter(Boolean).map(note => ` ${note}`).join('');
+            const text = this.i18n.t('app.lastUpdated', { date: date ? this.i18n.formatDate(date) : lastUpdated });
+            lastUpdatedDiv.innerHTML = `<span class="text-sm text-gray-600">${text}${notes}</span>`;
         }
     }
 
@@ -240,18 +1606,122 @@ class IRCCApp {
         }
     }
 
+    /**
+     * Collect the view state that is kept in the URL
+     */
+    getUrlState() {
+        // Defaults are left out to keep shared links short
+        const defaultCategory = this.dataService.getSeriesKeys()[0];
+        const unlessDefault = category => (category !== defaultCategory ? category : null);
+
+        return {
+            tab: this.currentTab !== 'current' ? this.currentTab : null,
+            country: this.currentCountry,
+            category: this.historicalCategory,
+            range: this.historicalRange !== 'all' ? this.historicalRange : null,
+            compare: this.compareCountries,
+            compareCategory: unlessDefault(this.compareCategory),
+            rankingCategory: unlessDefault(this.rankingCategory),
+            mapCategory: unlessDefault(this.mapCategory),
+            // Weeks are only linked from the changes tab, where they apply
+            changesFrom: this.currentTab === 'changes' ? this.changesWeeks.from : null,
+            changesTo: this.currentTab === 'changes' ? this.changesWeeks.to : null
+        };
+    }
+
+    /**
+     * Write the current view state to the URL
+     *
+     * Adds a history entry so back/forward steps through views; skipped while
+     * a URL is being restored so navigating does not create new entries.
+     */
+    updateUrl({ replace = false } = {}) {
+        if (!this.initialized || this.restoringUrl) return;
+
+        this.urlState.write(this.getUrlState(), { replace });
+    }
+
+    /**
+     * Copy the linked selections into the app state, ignoring unknown countries and categories
+     */
+    restoreUrlSelections(state) {
+        const countries = this.dataService.getCountries() || {};
+        const categories = this.dataService.getSeriesKeys();
+        const knownCategory = category => (categories.includes(category) ? category : null);
+
+        this.compareCountries = (state.compare || []).filter(code => countries[code]);
+        this.compareCategory = knownCategory(state.compareCategory);
+        this.rankingCategory = knownCategory(state.rankingCategory);
+        this.mapCategory = knownCategory(state.mapCategory);
+        this.historicalCategory = knownCategory(state.category);
+        this.historicalRange = state.range in this.historicalRanges ? state.range : 'all';
+        // Checked against the loaded snapshots by setupChangesControls
+        this.changesWeeks = { from: state.changesFrom || null, to: state.changesTo || null };
+    }
+
+    /**
+     * Select the linked country and tab, returning false when the link has no known country
+     */
+    restoreUrlView(state) {
+        const countrySelect = document.getElementById('country');
+        const countries = this.dataService.getCountries() || {};
+        const hasCountry = !!(state.country && countries[state.country]);
+
+        if (hasCountry && countrySelect && state.country !== this.currentCountry) {
+            countrySelect.value = state.country;
+            countrySelect.dispatchEvent(new Event('change'));
+        }
+
+        // Clicking the tab also lets the services tab load its data
+        const tab = state.tab && document.getElementById(`${state.tab}-tab`) ? state.tab : 'current';
+        const tabButton = document.querySelector(`.tab-button[data-tab="${tab}"]`);
+        if (tab !== this.currentTab && tabButton) {
+            tabButton.click();
+        } else {
+            this.switchTab(tab);
+        }
+
+        return hasCountry;
+    }
+
+    /**
+     * Restore the view after browser back/forward navigation
+     */
+    applyUrlState(state) {
+        this.restoringUrl = true;
+
+        this.restoreUrlSelections(state);
+        this.setupCompareControls();
+        this.setupRankingControls();
+        this.setupMapControls();
+        this.setupHistoricalControls();
+        if (this.dataService.weeklyData.length > 0) {
+            this.setupChangesControls();
+        }
+        this.displayComparison();
+
+        if (!this.restoreUrlView(state)) {
+            const countrySelect = document.getElementById('country');
+            if (countrySelect) countrySelect.value = '';
+            this.clearCurrentData();
+        }
+        this.refreshHistoricalChart();
+
+        this.restoringUrl = false;
+    }
+
     /**
      * Clear current data display
      */
     clearCurrentData() {
         const tableBody = document.querySelector('#data-table tbody');
         if (tableBody) {
-            tableBody.innerHTML = '<tr><td colspan="2">Please select a country</td></tr>';
+            tableBody.innerHTML = `<tr><td colspan="2">${this.i18n.t('current.selectCountry')}</td></tr>`;
         }
 
         const chartContainer = document.getElementById('chart-container');
         if (chartContainer) {
-            chartContainer.innerHTML = '<p class="text-gray-500 text-center">Select a country to view historical data</p>';
+            chartContainer.innerHTML = `<p class="text-gray-500 text-center">${this.i18n.t('historical.selectCountry')}</p>`;
         }
 
         this.currentCountry = null;
@@ -285,6 +1755,13 @@ class IRCCApp {
             activeButton.classList.remove('bg-gray-200', 'text-gray-700');
             activeButton.classList.add('active', 'bg-blue-500', 'text-white');
         }
+
+        this.currentTab = tabName;
+        this.updateUrl();
+
+        if (tabName === 'map') {
+            this.displayMap();
+        }
     }
 
     /**
@@ -292,31 +1769,98 @@ class IRCCApp {
      */
     async refreshData() {
         try {
-            this.showLoading('Refreshing data...');
+            this.showLoading(this.i18n.t('app.refreshing'));
             
-            this.dataService.clearCache();
-            await this.dataService.initialize();
-            await this.dataService.loadWeeklyData();
+            await this.dataService.refresh();
+            this.checkCategories();
+            await this.dataService.loadWeeklyData(52, {
+                onProgress: ({ loaded, total }) => {
+                    this.showLoading(this.i18n.t('app.refreshingProgress', { loaded, total }));
+                }
+            });
+            this.validateData();
+            this.checkAlerts();
             
             this.setupCountryDropdown();
+            this.setupCompareControls();
+            this.setupRankingControls();
+            this.setupMapControls();
+            this.setupHistoricalControls();
+            this.setupChangesControls();
+            this.setupEstimatorControls();
+            this.setupAlertControls();
             this.displayLastUpdated();
             
             if (this.currentCountry) {
                 this.onCountryChange(this.currentCountry);
             }
             
+            if (this.compareCountries.length > 0) {
+                this.displayComparison();
+            }
+            
             this.hideLoading();
             
         } catch (error) {
             console.error('Error refreshing data:', error);
-            this.showError('Failed to refresh data');
+            this.showError(this.i18n.t('app.refreshFailed'));
+        }
+    }
+
+    /**
+     * Switch the UI and the current data files to another language
+     */
+    async setLanguage(language) {
+        try {
+            this.i18n.setLanguage(language);
+            this.showLoading(this.i18n.t('app.loading'));
+            
+            await this.dataService.setLanguage(language);
+            
+            this.i18n.applyTranslations();
+            this.displayCategoryWarning();
+            this.validateData();
+            this.setupCountryDropdown();
+            this.setupCompareControls();
+            this.setupRankingControls();
+            this.setupMapControls();
+            this.setupHistoricalControls();
+            this.setupChangesControls();
+            this.setupEstimatorControls();
+            this.setupAlertControls();
+            this.displayLastUpdated();
+            refreshServicesLanguage();
+            
+            if (this.currentCountry) {
+                const countrySelect = document.getElementById('country');
+                if (countrySelect) countrySelect.value = this.currentCountry;
+                this.onCountryChange(this.currentCountry);
+            }
+            
+            this.displayComparison();
+            
+            const mapTab = document.getElementById('map-tab');
+            if (mapTab && !mapTab.classList.contains('hidden')) {
+                this.displayMap();
+            }
+            
+            const estimatorResult = document.getElementById('estimator-result');
+            if (estimatorResult && estimatorResult.innerHTML.trim()) {
+                this.displayEstimate();
+            }
+            
+            this.hideLoading();
+            
+        } catch (error) {
+            console.error('Error switching language:', error);
+            this.showError(this.i18n.t('app.loadFailed'));
         }
     }
 
     /**
      * Show loading state
      */
-    showLoading(message = 'Loading...') {
+    showLoading(message = this.i18n.t('app.loading')) {
         this.isLoading = true;
         const loadingDiv = document.getElementById('loading');
         if (loadingDiv) {
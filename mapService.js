@@ -0,0 +1,222 @@
+import { I18nService } from './i18nService.js';
+import { CategoryService } from './categoryService.js';
+import { DurationService } from './durationService.js';
+
+/**
+ * MapService - Renders a choropleth world map of processing times
+ * Uses the SVG geometry shipped in maps/world.json, so no map tiles are needed
+ */
+export class MapService {
+    constructor(geometryUrl = 'maps/world.json', i18n = new I18nService(), categoryService = new CategoryService(i18n)) {
+        this.geometryUrl = geometryUrl;
+        this.i18n = i18n;
+        this.categoryService = categoryService;
+        this.durationService = new DurationService();
+        this.geometry = null;
+        this.palette = ['#dbeafe', '#93c5fd', '#3b82f6', '#1d4ed8', '#1e3a8a'];
+        this.statusStyles = {
+            'insufficient-data': { fill: 'url(#map-hatch-insufficient)', label: 'status.insufficient-data' },
+            'unavailable': { fill: 'url(#map-hatch-unavailable)', label: 'status.unavailable' },
+            'missing': { fill: '#f3f4f6', label: 'status.missing' }
+        };
+    }
+
+    /**
+     * Load the map geometry once
+     */
+    async loadGeometry() {
+        if (this.geometry) {
+            return this.geometry;
+        }
+
+        const response = await fetch(this.geometryUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${this.geometryUrl}: ${response.status}`);
+        }
+
+        this.geometry = await response.json();
+        return this.geometry;
+    }
+
+    /**
+     * Calculate quantile upper bounds that split the values into equal-sized classes
+     */
+    calculateQuantileBreaks(values, classes = this.palette.length) {
+        const sorted = values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+
+        const breaks = [];
+        for (let i = 1; i <= classes; i++) {
+            const index = Math.min(sorted.length - 1, Math.ceil((i / classes) * sorted.length) - 1);
+            const value = sorted[index];
+            if (breaks.length === 0 || value > breaks[breaks.length - 1]) {
+                breaks.push(value);
+            }
+        }
+        return breaks;
+    }
+
+    /**
+     * Get the fill colour for a value given the quantile breaks
+     */
+    getColor(value, breaks) {
+        const index = breaks.findIndex(upper => value <= upper);
+        const classIndex = index === -1 ? breaks.length - 1 : index;
+        // Spread fewer classes across the full palette
+        const paletteIndex = breaks.length > 1
+            ? Math.round(classIndex * (this.palette.length - 1) / (breaks.length - 1))
+            : this.palette.length - 1;
+        return this.palette[paletteIndex];
+    }
+
+    /**
+     * Render the map into a container
+     *
+     * entries maps ISO country codes to { name, value, duration } where duration
+     * comes from DurationService.parse. onSelect is called with the country code
+     * when a country with data is clicked.
+     */
+    async renderMap(containerId, entries, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+
+        const geometry = await this.loadGeometry();
+        const breaks = this.calculateQuantileBreaks(Object.values(entries).map(entry => entry.duration.days));
+
+        const paths = Object.entries(geometry.locations).map(([code, location]) => {
+            const entry = entries[code];
+            const fill = this.getFill(entry, breaks);
+            const clickable = entry ? ' class="map-country"' : '';
+            return `<path d="${location.path}" data-code="${code}" fill="${fill}"${clickable}></path>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="map-wrapper">
+                <svg viewBox="${geometry.viewBox}" role="img" aria-label="${options.title || this.i18n.t('map.defaultTitle')}">
+                    <defs>
+                        ${this.createHatchPattern('map-hatch-insufficient', '#fde68a', '#d97706')}
+                        ${this.createHatchPattern('map-hatch-unavailable', '#f3f4f6', '#9ca3af')}
+                    </defs>
+                    <g stroke="#ffffff" stroke-width="0.3">${paths}</g>
+                </svg>
+                <div class="map-tooltip hidden"></div>
+            </div>
+            ${this.createLegend(breaks)}
+            <p class="map-attribution">${geometry.attribution || ''}</p>
+        `;
+
+        this.attachInteractions(container, geometry, entries, options.onSelect);
+        return breaks;
+    }
+
+    /**
+     * Pick the fill for a country entry
+     */
+    getFill(entry, breaks) {
+        if (!entry) {
+            return this.statusStyles.missing.fill;
+        }
+        if (entry.duration.days !== null) {
+            return this.getColor(entry.duration.days, breaks);
+        }
+        const style = this.statusStyles[entry.duration.status] || this.statusStyles.missing;
+        return style.fill;
+    }
+
+    /**
+     * Create a diagonal hatch pattern definition
+     */
+    createHatchPattern(id, background, stroke) {
+        return `
+            <pattern id="${id}" patternUnits="userSpaceOnUse" width="4" height="4" patternTransform="rotate(45)">
+                <rect width="4" height="4" fill="${background}"></rect>
+                <line x1="0" y1="0" x2="0" y2="4" stroke="${stroke}" stroke-width="1.5"></line>
+            </pattern>
+        `;
+    }
+
+    /**
+     * Create the legend for the quantile classes and the status styles
+     */
+    createLegend(breaks) {
+        let lower = 0;
+        const classItems = breaks.map(upper => {
+            const label = lower === 0
+                ? this.i18n.t('map.upTo', { days: this.i18n.days(upper) })
+                : this.i18n.t('map.range', { lower: Math.round(lower), upper: this.i18n.days(upper) });
+            lower = upper;
+            return `<span class="map-legend-item"><span class="map-swatch" style="background:${this.getColor(upper, breaks)}"></span>${label}</span>`;
+        });
+
+        const statusItems = [
+            ['insufficient-data', 'repeating-linear-gradient(45deg, #fde68a 0 2px, #d97706 2px 3px)'],
+            ['unavailable', 'repeating-linear-gradient(45deg, #f3f4f6 0 2px, #9ca3af 2px 3px)'],
+            ['missing', '#f3f4f6']
+        ].map(([status, background]) =>
+            `<span class="map-legend-item"><span class="map-swatch" style="background:${background}"></span>${this.i18n.t(this.statusStyles[status].label)}</span>`
+        );
+
+        return `<div class="map-legend">${classItems.concat(statusItems).join('')}</div>`;
+    }
+
+    /**
+     * Format a value for the tooltip as IRCC posted it, including nested sub-measures
+     *
+     * Times posted in weeks or months also show their length in days.
+     */
+    formatValue(value) {
+        if (value && typeof value === 'object') {
+            return Object.entries(value)
+                .map(([key, subValue]) => `${this.categoryService.label(key)}: ${this.formatValue(subValue)}`)
+                .join('<br>');
+        }
+        if (value === undefined || value === null) {
+            return this.i18n.t(this.statusStyles.missing.label);
+        }
+
+        const duration = this.durationService.parse(value);
+        const days = duration.days !== null && duration.unit !== 'day'
+            ? ` <span class="map-tooltip-days">(${this.i18n.days(duration.days)})</span>`
+            : '';
+        return `${value}${days}`;
+    }
+
+    /**
+     * Wire up the hover tooltip and click selection
+     */
+    attachInteractions(container, geometry, entries, onSelect) {
+        const wrapper = container.querySelector('.map-wrapper');
+        const tooltip = container.querySelector('.map-tooltip');
+
+        wrapper.addEventListener('mousemove', (e) => {
+            const code = e.target.dataset ? e.target.dataset.code : null;
+            if (!code) {
+                tooltip.classList.add('hidden');
+                return;
+            }
+
+            const entry = entries[code];
+            const name = entry ? entry.name : geometry.locations[code].name;
+            const value = entry ? this.formatValue(entry.value) : this.i18n.t(this.statusStyles.missing.label);
+            const bounds = wrapper.getBoundingClientRect();
+
+            tooltip.innerHTML = `<strong>${name}</strong><br>${value}`;
+            tooltip.style.left = `${e.clientX - bounds.left + 12}px`;
+            tooltip.style.top = `${e.clientY - bounds.top + 12}px`;
+            tooltip.classList.remove('hidden');
+        });
+
+        wrapper.addEventListener('mouseleave', () => {
+            tooltip.classList.add('hidden');
+        });
+
+        wrapper.addEventListener('click', (e) => {
+            const code = e.target.dataset ? e.target.dataset.code : null;
+            if (code && entries[code] && onSelect) {
+                onSelect(code);
+            }
+        });
+    }
+}
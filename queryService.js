@@ -0,0 +1,217 @@
+import { DataService } from './dataService.js';
+import { CategoryService } from './categoryService.js';
+import { DiffService } from './diffService.js';
+import { ExportService } from './exportService.js';
+
+/**
+ * QueryService - Answers the command-line queries as flat rows, ready for a table, JSON or CSV
+ * Has no DOM access; scripts/ircc.js is the command-line front end
+ */
+export class QueryService {
+    constructor(dataService = new DataService(), categoryService = new CategoryService()) {
+        this.dataService = dataService;
+        this.categoryService = categoryService;
+        this.diffService = new DiffService(dataService.durationService);
+        this.exportService = new ExportService(dataService.durationService);
+    }
+
+    /**
+     * Current processing times, optionally for one country and one category
+     *
+     * A category also matches its sub-measures, so refugees_private returns
+     * refugees_private.sponsor and refugees_private.refugee. Throws on a country
+     * or category that is not in the data.
+     */
+    current({ country = null, category = null } = {}) {
+        const countries = this.dataService.getCountries() || {};
+        const week = this.dataService.getCurrentIsoWeek();
+        const series = this.dataService.getSeriesData();
+        const rows = [];
+
+        if (country) {
+            this.checkCountry(country);
+        }
+        this.checkCategory(Object.keys(series), category);
+
+        Object.entries(series)
+            .filter(([seriesKey]) => this.matchesCategory(seriesKey, category))
+            .forEach(([seriesKey, values]) => {
+                Object.entries(values)
+                    .filter(([countryCode]) => !country || countryCode === country)
+                    .forEach(([countryCode, raw]) => {
+                        rows.push(this.exportService.createRow({
+                            week,
+                            countryCode,
+                            countryName: countries[countryCode] || countryCode,
+                            category: seriesKey,
+                            raw
+                        }));
+                    });
+            });
+
+        return rows;
+    }
+
+    /**
+     * Weekly history for one country, optionally limited to a category and a week range
+     *
+     * Throws on an unknown country, and on a known one without weekly values.
+     */
+    history({ country, category = null, since = null, until = null }) {
+        if (!country) {
+            throw new Error('history needs a country');
+        }
+
+        this.checkCountry(country);
+        const entries = this.dataService.getHistoricalData(country);
+        if (entries.length === 0) {
+            throw new Error(`No history for "${country}": no weekly snapshot has a value for it`);
+        }
+        this.checkCategory(entries.map(entry => entry.category), category);
+
+        const countryName = (this.dataService.getCountries() || {})[country] || country;
+        return entries
+            .filter(entry => this.matchesCategory(entry.category, category))
+            .filter(entry => (!since || entry.week >= since) && (!until || entry.week <= until))
+            .map(entry => this.exportService.createRow({
+                week: entry.week,
+                countryCode: country,
+                countryName,
+                category: entry.category,
+                raw: entry.data
+            }));
+    }
+
+    /**
+     * Current in-Canada services whose key, category or name contains match (case-insensitive)
+     */
+    services({ match = null } = {}) {
+        const term = match ? match.toLowerCase() : null;
+
+        return this.dataService.getInCanadaServices()
+            .map(({ category, service, value }) => {
+                const entryKey = this.categoryService.has(service) ? service : category;
+                const duration = this.dataService.durationService.parse(value);
+                return {
+                    category,
+                    service,
+                    name: this.categoryService.serviceLabel(category, service),
+                    raw: value,
+                    normalized_days: this.round(duration.days),
+                    status: duration.status,
+                    flpt: this.categoryService.isFlpt(entryKey)
+                };
+            })
+            .filter(row => !term || [row.category, row.service, row.name].some(text => text.toLowerCase().includes(term)));
+    }
+
+    /**
+     * What changed between two weekly snapshots, for processing times and in-Canada services
+     *
+     * Each row is a changed, added or removed value; direction is increase,
+     * decrease, status, added or removed.
+     */
+    diff(from, to) {
+        const rows = [];
+
+        [['processing-times', 'country'], ['in-canada-services', 'service']].forEach(([type, itemName]) => {
+            const before = this.dataService.getSnapshot(type, from);
+            const after = this.dataService.getSnapshot(type, to);
+            if (!before || !after) {
+                throw new Error(`No ${type} snapshot for ${before ? to : from}`);
+            }
+
+            const result = type === 'processing-times'
+                ? this.diffService.diffProcessingTimes(this.dataService.getSeriesData(before.data), this.dataService.getSeriesData(after.data))
+                : this.diffService.diffInCanadaServices(before.data, after.data);
+
+            result.changes.forEach(change => rows.push(this.createDiffRow(type, change[itemName], change)));
+            result.addedItems.forEach(item => rows.push(this.createDiffRow(type, item[itemName], { ...item, after: item.value, direction: 'added' })));
+            result.removedItems.forEach(item => rows.push(this.createDiffRow(type, item[itemName], { ...item, before: item.value, direction: 'removed' })));
+            result.addedCategories.forEach(category => rows.push(this.createDiffRow(type, null, { category, direction: 'added' })));
+            result.removedCategories.forEach(category => rows.push(this.createDiffRow(type, null, { category, direction: 'removed' })));
+        });
+
+        return rows;
+    }
+
+    /**
+     * Rank every country for a category by current processing time, fastest first
+     *
+     * Countries without a usable time are listed last without a rank, as on the
+     * rankings tab. A category with sub-measures is ranked one sub-measure at a time.
+     */
+    rank({ category }) {
+        const rows = this.dataService.getCategoryRanking(category);
+        if (rows.length === 0) {
+            const subMeasures = this.dataService.getSeriesKeys().filter(seriesKey => this.matchesCategory(seriesKey, category));
+            if (subMeasures.length > 0) {
+                throw new Error(`"${category}" has sub-measures, rank one of: ${subMeasures.join(', ')}`);
+            }
+            throw new Error(`Unknown category "${category}". Categories: ${this.dataService.getSeriesKeys().join(', ')}`);
+        }
+
+        rows.sort((a, b) => {
+            if (a.duration.days === null && b.duration.days === null) return a.name.localeCompare(b.name);
+            if (a.duration.days === null) return 1;
+            if (b.duration.days === null) return -1;
+            return a.duration.days - b.duration.days || a.name.localeCompare(b.name);
+        });
+
+        let rank = 0;
+        return rows.map(row => ({
+            rank: row.duration.status === 'ok' ? ++rank : null,
+            country_code: row.country,
+            country_name: row.name,
+            raw: row.value,
+            normalized_days: this.round(row.duration.days),
+            status: row.duration.status,
+            week_change_days: this.round(row.weekChange),
+            quarter_change_days: this.round(row.quarterChange)
+        }));
+    }
+
+    createDiffRow(type, item, { category, before = null, after = null, change = null, percentChange = null, direction }) {
+        return {
+            type,
+            category,
+            item,
+            before: this.stringify(before),
+            after: this.stringify(after),
+            change_days: this.round(change),
+            percent_change: this.round(percentChange),
+            direction
+        };
+    }
+
+    /**
+     * Throw when a country is neither named in the country list nor listed in the current data
+     */
+    checkCountry(country) {
+        const countries = this.dataService.getCountries() || {};
+        if (!countries[country] && !Object.values(this.dataService.getSeriesData()).some(values => country in values)) {
+            throw new Error(`Unknown country "${country}"`);
+        }
+    }
+
+    /**
+     * Throw when a category filter matches none of the series keys
+     */
+    checkCategory(seriesKeys, category) {
+        if (category && !seriesKeys.some(seriesKey => this.matchesCategory(seriesKey, category))) {
+            throw new Error(`Unknown category "${category}". Categories: ${this.dataService.getSeriesKeys().join(', ')}`);
+        }
+    }
+
+    matchesCategory(seriesKey, category) {
+        return !category || seriesKey === category || seriesKey.startsWith(`${category}.`);
+    }
+
+    round(value) {
+        return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+    }
+
+    stringify(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+}
@@ -0,0 +1,229 @@
+import { ChartService } from './chartService.js';
+
+/**
+ * ReportService - Builds a printable PDF report for one country using jsPDF
+ */
+export class ReportService {
+    constructor(chartService = new ChartService(), i18n = chartService.i18n) {
+        this.chartService = chartService;
+        this.categoryService = chartService.categoryService;
+        this.historyService = chartService.historyService;
+        this.i18n = i18n;
+        this.page = { width: 210, height: 297, margin: 15 };
+    }
+
+    /**
+     * Check whether the jsPDF library has loaded
+     */
+    isAvailable() {
+        return typeof window !== 'undefined' && !!(window.jspdf && window.jspdf.jsPDF);
+    }
+
+    /**
+     * Build a country report
+     *
+     * currentData is the { category: value } map for the country, historicalData
+     * the entries from DataService.getHistoricalData and lastUpdated a Date or the
+     * raw lastupdated string. Returns the jsPDF document.
+     */
+    createCountryReport({ countryCode, countryName, currentData, historicalData = [], lastUpdated, labelFor = category => category }) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+        const { margin } = this.page;
+        let y = margin + 5;
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.text(this.toPdfText(this.i18n.t('report.title', { name: countryName || countryCode })), margin, y);
+        y += 8;
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(100);
+        const updated = lastUpdated instanceof Date ? this.i18n.formatDate(lastUpdated) : lastUpdated || this.i18n.t('report.unknown');
+        doc.text(this.toPdfText(this.i18n.t('report.subtitle', { updated, generated: this.i18n.formatDate(new Date()) })), margin, y);
+        doc.setTextColor(0);
+        y += 10;
+
+        y = this.addSectionHeading(doc, this.i18n.t('report.current'), y);
+        y = this.addCurrentTable(doc, currentData || {}, labelFor, y);
+
+        y = this.ensureSpace(doc, y, 110);
+        y = this.addSectionHeading(doc, this.i18n.t('report.historical'), y + 4);
+        if (historicalData.length > 0) {
+            const image = this.chartService.renderChartImage(historicalData, {
+                title: this.i18n.t('chart.titleFor', { name: countryName || countryCode }),
+                yAxisLabel: this.i18n.t('chart.yAxis'),
+                showAnomalies: true,
+                labelFor
+            });
+            const width = this.page.width - margin * 2;
+            doc.addImage(image, 'PNG', margin, y, width, width / 2);
+            y += width / 2 + 6;
+        } else {
+            doc.setFontSize(10);
+            doc.text(this.toPdfText(this.i18n.t('report.noHistory')), margin, y);
+            y += 8;
+        }
+
+        y = this.ensureSpace(doc, y, 30);
+        y = this.addSectionHeading(doc, this.i18n.t('report.trend'), y);
+        this.addTrendSummary(doc, historicalData, labelFor, y);
+
+        this.addFooters(doc);
+        return doc;
+    }
+
+    /**
+     * Build and save a country report as a PDF file
+     */
+    downloadCountryReport(options, filename) {
+        const doc = this.createCountryReport(options);
+        doc.save(`${filename}.pdf`);
+    }
+
+    /**
+     * Draw a section heading and return the next y position
+     */
+    addSectionHeading(doc, text, y) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.text(this.toPdfText(text), this.page.margin, y);
+        doc.setFont('helvetica', 'normal');
+        return y + 7;
+    }
+
+    /**
+     * Draw the category/processing time table and return the next y position
+     */
+    addCurrentTable(doc, currentData, labelFor, y) {
+        const { margin } = this.page;
+        const valueX = margin + 85;
+        const valueWidth = this.page.width - margin - valueX;
+        const entries = Object.entries(currentData).filter(([category]) => category !== 'lastupdated');
+
+        if (entries.length === 0) {
+            doc.setFontSize(10);
+            doc.text(this.toPdfText(this.i18n.t('report.noCurrent')), margin, y);
+            return y + 8;
+        }
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'bold');
+        doc.text(this.toPdfText(this.i18n.t('common.categoryHeading')), margin, y);
+        doc.text(this.toPdfText(this.i18n.t('common.processingTime')), valueX, y);
+        doc.setFont('helvetica', 'normal');
+        doc.setDrawColor(200);
+        doc.line(margin, y + 2, this.page.width - margin, y + 2);
+        y += 7;
+
+        entries.forEach(([category, value]) => {
+            const label = doc.splitTextToSize(this.toPdfText(labelFor(category)), valueX - margin - 4);
+            const text = doc.splitTextToSize(this.toPdfText(this.formatValue(value)), valueWidth);
+            const height = Math.max(label.length, text.length) * 5;
+
+            y = this.ensureSpace(doc, y, height + 2);
+            doc.text(label, margin, y);
+            doc.text(text, valueX, y);
+            y += height;
+            doc.line(margin, y - 3, this.page.width - margin, y - 3);
+            y += 2;
+        });
+
+        return y;
+    }
+
+    /**
+     * Describe the recent trend of every category series
+     */
+    addTrendSummary(doc, historicalData, labelFor, y) {
+        const { margin } = this.page;
+        const series = this.historyService.prepareChartData(historicalData);
+        const categories = Object.keys(series);
+
+        doc.setFontSize(10);
+        if (categories.length === 0) {
+            doc.text(this.toPdfText(this.i18n.t('report.noTrend')), margin, y);
+            return y + 6;
+        }
+
+        categories.forEach(category => {
+            const points = series[category];
+            const trend = this.historyService.calculateTrend(points);
+            const latest = points[points.length - 1];
+            const description = trend.trend === 'insufficient-data'
+                ? this.i18n.t('report.trendNotEnough')
+                : this.i18n.t('report.trendChange', {
+                    trend: this.i18n.t(`report.trend.${trend.trend}`),
+                    change: (trend.change > 0 ? '+' : '') + this.i18n.formatNumber(trend.change)
+                });
+            const line = this.i18n.t('report.trendLine', {
+                category: labelFor(category),
+                description,
+                days: this.i18n.days(latest.y),
+                week: latest.week
+            });
+            const lines = doc.splitTextToSize(this.toPdfText(line), this.page.width - margin * 2);
+
+            y = this.ensureSpace(doc, y, lines.length * 5);
+            doc.text(lines, margin, y);
+            y += lines.length * 5 + 1;
+        });
+
+        return y;
+    }
+
+    /**
+     * Add the source line and page numbers to every page
+     */
+    addFooters(doc) {
+        const { width, height, margin } = this.page;
+        const pageCount = doc.getNumberOfPages();
+
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFontSize(8);
+            doc.setTextColor(120);
+            doc.text(this.toPdfText(this.i18n.t('report.source')), margin, height - 8);
+            doc.text(this.i18n.t('report.page', { page, count: pageCount }), width - margin, height - 8, { align: 'right' });
+            doc.setTextColor(0);
+        }
+    }
+
+    /**
+     * Start a new page when the next block would run into the footer
+     */
+    ensureSpace(doc, y, needed) {
+        if (y + needed <= this.page.height - 20) return y;
+
+        doc.addPage();
+        return this.page.margin + 5;
+    }
+
+    /**
+     * Flatten a raw value (string or nested object) into one line of text
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return this.i18n.t('common.notAvailable');
+        if (typeof value !== 'object') return String(this.i18n.formatDuration(this.chartService.durationService.parse(value)));
+
+        return Object.entries(value)
+            .map(([key, item]) => `${this.categoryService.label(key)}: ${this.formatValue(item)}`)
+            .join('; ');
+    }
+
+    /**
+     * Replace characters the built-in PDF fonts cannot encode
+     */
+    toPdfText(text) {
+        return String(text)
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[–—]/g, '-')
+            .replace(/[\u00A0\u202F]/g, ' ')
+            .replace(/≤/g, '<=')
+            .replace(/≥/g, '>=')
+            // eslint-disable-next-line no-control-regex -- the range is every Latin-1 character, control characters included
+            .replace(/[^\x00-\xFF]/g, '?');
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Build the static JSON API from data/ and weekly/ into api/v<version>/
+ * Usage: node scripts/build-api.js [--root dir] [--out dir]
+ *
+ * The version directory is rebuilt from scratch, so countries, categories and
+ * services that disappear from the data also disappear from the API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataService } from '../dataService.js';
+import { ApiService } from '../apiService.js';
+import { createFileFetch } from '../fileFetch.js';
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+};
+
+const root = option('--root') || path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = option('--out') || path.join(root, 'api');
+
+async function main() {
+    const api = new ApiService(new DataService({ baseUrl: '', fetch: createFileFetch(root) }));
+    await api.load();
+
+    const versionDir = path.join(outDir, `v${api.version}`);
+    fs.rmSync(versionDir, { recursive: true, force: true });
+
+    let bytes = 0;
+    const documents = api.build();
+    documents.forEach(({ path: documentPath, data }) => {
+        const filePath = path.join(versionDir, documentPath);
+        const content = JSON.stringify(data);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content + '\n');
+        bytes += content.length + 1;
+    });
+
+    console.log(`Wrote ${documents.length} files (${Math.round(bytes / 1024)} KB) to ${versionDir}`);
+}
+
+main().catch(error => {
+    console.error('API build failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,54 @@
+/**
+ * Build the Atom feeds of weekly changes from data/ and weekly/
+ * Usage: node scripts/build-feed.js --site url [--root dir] [--out dir]
+ *
+ * Writes feed.xml (English) and feed-fr.xml (French) to --out, the repository
+ * root by default. --site is the dashboard URL the entries link to; the weekly
+ * workflow passes the DASHBOARD_URL repository variable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataService } from '../dataService.js';
+import { CategoryService } from '../categoryService.js';
+import { I18nService } from '../i18nService.js';
+import { FeedService } from '../feedService.js';
+import { createFileFetch } from '../fileFetch.js';
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+};
+
+const root = option('--root') || path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = option('--out') || root;
+const siteUrl = option('--site');
+const feeds = [['en', 'feed.xml'], ['fr', 'feed-fr.xml']];
+
+async function main() {
+    if (!siteUrl) {
+        throw new Error('Pass the dashboard URL with --site, e.g. --site https://example.org/ircc/');
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+
+    for (const [language, filename] of feeds) {
+        const dataService = new DataService({ baseUrl: '', fetch: createFileFetch(root), language });
+        await dataService.initialize();
+        await dataService.loadWeeklyData();
+
+        const feed = new FeedService(dataService, new CategoryService(new I18nService({ language })), {
+            siteUrl,
+            feedUrl: `https://raw.githubusercontent.com/caipsnotes/ircc-processing-times/main/${filename}`
+        });
+        const entries = feed.getEntries();
+        fs.writeFileSync(path.join(outDir, filename), feed.toAtom(entries));
+        console.log(`Wrote ${filename} with ${entries.length} entries`);
+    }
+}
+
+main().catch(error => {
+    console.error('Feed build failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+/**
+ * Query processing times from the local data/ and weekly/ directories
+ *
+ * Usage: node scripts/ircc.js <command> [options]
+ *   current  [--country IN] [--category study]
+ *   history  --country IN [--category work] [--since 2025-W40] [--until 2026-W20]
+ *   services [--match flpt]
+ *   diff     <from-week> <to-week>
+ *   rank     --category visitor-outside-canada
+ *
+ * Options: --format table|json|csv (default table), --lang en|fr, --root <checkout>
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataService } from '../dataService.js';
+import { CategoryService } from '../categoryService.js';
+import { I18nService } from '../i18nService.js';
+import { QueryService } from '../queryService.js';
+import { createFileFetch } from '../fileFetch.js';
+
+const usage = `Usage: node scripts/ircc.js <command> [options]
+
+Commands:
+  current  [--country IN] [--category study]
+  history  --country IN [--category work] [--since 2025-W40] [--until 2026-W20]
+  services [--match flpt]
+  diff     <from-week> <to-week>
+  rank     --category visitor-outside-canada
+
+Options:
+  --format table|json|csv   Output format (default table)
+  --lang en|fr              Language of the current data and names (default en)
+  --root <dir>              Checkout with data/ and weekly/ (default this repository)`;
+
+const commands = ['current', 'history', 'services', 'diff', 'rank'];
+const formats = ['table', 'json', 'csv'];
+
+/**
+ * Split the arguments into the command, positional values and --name value options
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i].startsWith('--')) {
+            options[rest[i].slice(2)] = rest[i + 1];
+            i++;
+        } else {
+            positional.push(rest[i]);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+/**
+ * Lay rows out as an aligned plain-text table
+ */
+function toTable(rows) {
+    if (rows.length === 0) return 'No results\n';
+
+    const columns = Object.keys(rows[0]);
+    const cells = rows.map(row => columns.map(column => (row[column] === null || row[column] === undefined ? '' : String(row[column]))));
+    const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(line => line[index].length)));
+    const format = line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [format(columns), format(widths.map(width => '-'.repeat(width))), ...cells.map(format)].join('\n') + '\n';
+}
+
+/**
+ * Serialize rows as CSV with a header line
+ */
+function toCSV(rows, escape) {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+async function main() {
+    const { command, positional, options } = parseArgs(process.argv.slice(2));
+    const format = options.format || 'table';
+    const language = options.lang || 'en';
+
+    if (!commands.includes(command) || !formats.includes(format)) {
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    const root = options.root || path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const dataService = new DataService({ baseUrl: '', fetch: createFileFetch(root), language });
+    const query = new QueryService(dataService, new CategoryService(new I18nService({ language })));
+
+    await dataService.initialize();
+    if (['history', 'diff', 'rank'].includes(command)) {
+        await dataService.loadWeeklyData();
+    }
+
+    let rows;
+    switch (command) {
+        case 'current':
+            rows = query.current({ country: options.country, category: options.category });
+            break;
+        case 'history':
+            rows = query.history({ country: options.country, category: options.category, since: options.since, until: options.until });
+            break;
+        case 'services':
+            rows = query.services({ match: options.match });
+            break;
+        case 'diff':
+            if (positional.length !== 2) throw new Error('diff needs two weeks, e.g. diff 2026-W19 2026-W20');
+            rows = query.diff(positional[0], positional[1]);
+            break;
+        case 'rank':
+            if (!options.category) throw new Error('rank needs --category');
+            rows = query.rank({ category: options.category });
+            break;
+    }
+
+    if (format === 'json') {
+        process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+    } else if (format === 'csv') {
+        process.stdout.write(toCSV(rows, value => query.exportService.escapeCSV(value)));
+    } else {
+        process.stdout.write(toTable(rows));
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
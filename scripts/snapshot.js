@@ -0,0 +1,50 @@
+/**
+ * Save this week's snapshot of the fetched IRCC files and rebuild weekly/index.json
+ * Usage: node scripts/snapshot.js [--data dir] [--weekly dir] [--keep weeks|all] [--date YYYY-MM-DD] [--index-only] [--dry-run]
+ *
+ * Directories are relative to the working directory, so the builder can be run
+ * against fixture files, e.g. --data fixtures/data --weekly fixtures/weekly --dry-run.
+ */
+
+import { SnapshotService } from '../snapshotService.js';
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+};
+
+const keep = option('--keep');
+const date = option('--date');
+const builder = new SnapshotService({
+    dataDir: option('--data') || 'data',
+    weeklyDir: option('--weekly') || 'weekly',
+    keepWeeks: keep === 'all' ? null : parseInt(keep || '52')
+});
+
+try {
+    if (args.includes('--index-only')) {
+        const index = builder.writeIndex();
+        console.log(`Created index with ${index.files.length} files`);
+    } else {
+        // Dates are taken as local calendar days, matching how the week is numbered
+        const [year, month, day] = (date || '').split('-').map(Number);
+        const result = builder.build({
+            date: date ? new Date(year, month - 1, day) : new Date(),
+            dryRun: args.includes('--dry-run')
+        });
+
+        if (result.skipped) {
+            console.log(`No changes since the last snapshot, skipping ${result.isoWeek}`);
+        } else {
+            result.written.forEach(file => console.log(`Saved ${file}`));
+        }
+        result.removed.forEach(file => console.log(`Removed ${file}`));
+        if (result.index) {
+            console.log(`Created index with ${result.index.files.length} files`);
+        }
+    }
+} catch (error) {
+    console.error('Snapshot build failed:', error.message);
+    process.exitCode = 1;
+}
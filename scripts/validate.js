@@ -0,0 +1,55 @@
+/**
+ * Validate weekly snapshots against their schema and print or save the reports
+ * Usage: node scripts/validate.js [--out file] [files...]
+ *
+ * With no files, every snapshot in weekly/index.json is checked. --out writes a
+ * summary instead of every report: the files with problems and the newest file of
+ * each type. Exits with 1 when any file is invalid.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationService } from '../validationService.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const outFile = outIndex >= 0 ? args[outIndex + 1] : null;
+let files = outIndex >= 0 ? args.filter((arg, index) => index !== outIndex && index !== outIndex + 1) : args;
+
+if (files.length === 0) {
+    const weeklyDir = path.join(rootDir, 'weekly');
+    const index = JSON.parse(fs.readFileSync(path.join(weeklyDir, 'index.json'), 'utf8'));
+    const names = Array.isArray(index) ? index : index.files.map(entry => entry.file);
+    files = names.map(name => path.join(weeklyDir, name));
+}
+
+const validator = new ValidationService();
+const read = file => JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+const previousByType = {};
+const reports = [];
+
+// Oldest first so each file is compared with the one before it
+files.slice().sort((a, b) => path.basename(a).localeCompare(path.basename(b))).forEach(file => {
+    const type = validator.detectType(file);
+    let report;
+    try {
+        const data = read(file);
+        report = validator.validate(type, data, { file: path.basename(file), previous: previousByType[type] });
+        previousByType[type] = data;
+    } catch (error) {
+        report = validator.validate(type, null, { file: path.basename(file) });
+        report.errors = [{ path: '', message: `Could not read file: ${error.message}` }];
+    }
+    reports.push(report);
+});
+
+if (outFile) {
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(validator.summarize(reports), null, 2) + '\n');
+} else {
+    process.stdout.write(JSON.stringify(reports, null, 2) + '\n');
+}
+process.exitCode = reports.every(report => report.valid) ? 0 : 1;
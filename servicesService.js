@@ -1,135 +1,85 @@
+import { I18nService } from './i18nService.js';
+import { CategoryService } from './categoryService.js';
+import { DurationService } from './durationService.js';
+import { ChartService } from './chartService.js';
+import { ForecastService } from './forecastService.js';
+import { InCanadaService } from './inCanadaService.js';
+
 // servicesService.js - Handle In-Canada Services data
 
-// Helper function to get ISO week number
-function getWeekNumber(date) {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+// Latest services snapshot and history, shared with the main app's data service
+let servicesInCanada = null;
+
+// Chart service for the in-Canada history chart
+let servicesChartService = null;
+
+// Forecast service for the in-Canada history chart
+let servicesForecastService = null;
+
+// Message catalogue shared with the main app, so both follow the language toggle
+let servicesI18n = null;
+
+// Duration parser used to display values in the current language
+const servicesDurationService = new DurationService();
+
+// Category registry shared with the main app, used for names, descriptions and groups
+let servicesCategories = null;
+
+// Use the app's message catalogue for the services tab
+export function setServicesI18n(i18n) {
+    servicesI18n = i18n;
 }
 
-// Find the most recent in-Canada services file
-async function findMostRecentServicesFile() {
-    const baseUrl = "https://raw.githubusercontent.com/caipsnotes/ircc-processing-times/main";
-    
-    try {
-        // Try to get the weekly index first
-        const indexResponse = await fetch(`${baseUrl}/weekly/index.json`);
-        if (indexResponse.ok) {
-            const weeklyFiles = await indexResponse.json();
-            
-            // Filter for in-canada-services files and sort by filename (newest first)
-            const servicesFiles = weeklyFiles
-                .filter(file => file.includes('-in-canada-services.json'))
-                .sort()
-                .reverse();
-            
-            if (servicesFiles.length > 0) {
-                return servicesFiles[0]; // Most recent file
-            }
-        }
-    } catch (error) {
-        console.warn('Could not fetch weekly index, trying fallback method:', error);
+// Get the message catalogue, creating one when the app has not shared its own
+function getServicesI18n() {
+    if (!servicesI18n) {
+        servicesI18n = new I18nService();
     }
-    
-    // Fallback: try recent weeks
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
-    const currentWeek = getWeekNumber(currentDate);
-    
-    // Try current week and up to 4 weeks back
-    for (let i = 0; i <= 4; i++) {
-        let weekToTry = currentWeek - i;
-        let yearToTry = currentYear;
-        
-        // Handle year boundary
-        if (weekToTry <= 0) {
-            yearToTry = currentYear - 1;
-            weekToTry = 52 + weekToTry; // Approximate last week of previous year
-        }
-        
-        const fileName = `${yearToTry}-W${weekToTry.toString().padStart(2, '0')}-in-canada-services.json`;
-        
-        try {
-            const testResponse = await fetch(`weekly/${fileName}`, { method: 'HEAD' });
-            if (testResponse.ok) {
-                return fileName;
-            }
-        } catch (e) {
-            // Continue to next week
-        }
-    }
-    
-    throw new Error('No in-Canada services file found in recent weeks');
+    return servicesI18n;
 }
 
-// Store the loaded services data globally
-let servicesData = null;
+// Read the services through the app's data service, so fetches and caching are shared
+export function setServicesDataService(dataService) {
+    servicesInCanada = new InCanadaService(dataService);
+}
+
+// Get the services data, creating a data service when the app has not shared its own
+function getServicesInCanada() {
+    if (!servicesInCanada) {
+        servicesInCanada = new InCanadaService();
+    }
+    return servicesInCanada;
+}
 
-// Get category display name dynamically (completely future-proof)
-function getCategoryDisplayName(categoryKey) {
-    // Convert technical key to readable format
-    return categoryKey
-        .replace(/_/g, ' ')              // Replace underscores with spaces
-        .replace(/-/g, ' ')              // Replace hyphens with spaces
-        .replace(/\b\w/g, l => l.toUpperCase())  // Capitalize first letter of each word
-        .replace(/\bFlpt\b/g, 'FLPT')    // Fix common abbreviations
-        .replace(/\bIec\b/g, 'IEC')
-        .replace(/\bEta\b/g, 'ETA')
-        .replace(/\bPr\b/g, 'PR')
-        .replace(/\bPnp\b/g, 'PNP')
-        .replace(/\bFsw\b/g, 'FSW')
-        .replace(/\bCec\b/g, 'CEC')
-        .replace(/\bCit\b/g, 'Citizenship')
-        .replace(/\bQc\b/g, 'Quebec')
-        .replace(/\bRoc\b/g, 'Rest of Canada')
-        .replace(/\bPgp\b/g, 'Parent & Grandparent Program')
-        .replace(/\bSawp\b/g, 'Seasonal Agricultural Worker Program')
-        .replace(/\bEmpp\b/g, 'EMPP');
+// Use the app's category registry for the services tab
+export function setServicesCategories(categoryService) {
+    servicesCategories = categoryService;
 }
 
-// Helper function to create readable service names dynamically (completely future-proof)
-function formatServiceName(categoryKey, serviceKey) {
-    // Get base category name
-    const categoryName = getCategoryDisplayName(categoryKey);
-    
-    // Get service name
-    const serviceName = serviceKey
-        .replace(/_/g, ' ')
-        .replace(/-/g, ' ')
-        .replace(/\b\w/g, l => l.toUpperCase())
-        .replace(/\bFlpt\b/g, 'FLPT')
-        .replace(/\bIec\b/g, 'IEC')
-        .replace(/\bEta\b/g, 'ETA')
-        .replace(/\bPr\b/g, 'PR')
-        .replace(/\bQc\b/g, 'Quebec')
-        .replace(/\bRoc\b/g, 'Rest of Canada')
-        .replace(/\bVos\b/g, 'Verification of Status')
-        .replace(/\bImm\b/g, 'Immigration')
-        .replace(/\bTr\b/g, 'Temporary Resident')
-        .replace(/\bAmend\b/g, 'Amendment')
-        .replace(/\bRep\b/g, 'Replacement')
-        .replace(/\bCit\b/g, 'Citizenship')
-        .replace(/\bSawp\b/g, 'SAWP');
-    
-    // If service name is the same as category or very similar, just return category
-    const categoryWords = categoryName.toLowerCase().split(' ');
-    const serviceWords = serviceName.toLowerCase().split(' ');
-    const commonWords = categoryWords.filter(word => serviceWords.includes(word));
-    
-    if (serviceName.toLowerCase() === categoryName.toLowerCase() || 
-        serviceKey === categoryKey ||
-        commonWords.length === categoryWords.length) {
-        return categoryName;
+// Get the category registry, creating one when the app has not shared its own
+function getServicesCategories() {
+    if (!servicesCategories) {
+        servicesCategories = new CategoryService(getServicesI18n());
     }
-    
-    // For compound names, try to avoid redundancy
-    if (categoryWords.some(word => serviceWords.includes(word))) {
-        return `${categoryName} - ${serviceName}`;
+    return servicesCategories;
+}
+
+// Display a raw processing time in the current language
+function formatServiceValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return getServicesI18n().t('services.notApplicable');
     }
-    
-    return `${categoryName} - ${serviceName}`;
+    return getServicesI18n().formatDuration(servicesDurationService.parse(value));
+}
+
+// Get the display name of a service category from the registry
+export function getCategoryDisplayName(categoryKey) {
+    return getServicesCategories().label(categoryKey);
+}
+
+// Get the display name of a service from the registry
+export function formatServiceName(categoryKey, serviceKey) {
+    return getServicesCategories().serviceLabel(categoryKey, serviceKey);
 }
 
 // Create and populate the service category dropdown
@@ -142,43 +92,58 @@ function createServiceCategoryDropdown(data) {
         dropdownContainer.className = 'controls';
         dropdownContainer.style.marginBottom = '20px';
         dropdownContainer.innerHTML = `
-            <label for="service-category-select">Select Service Category:</label>
-            <select id="service-category-select">
-                <option value="">All Services</option>
-            </select>
+            <label for="service-category-select" data-i18n="services.selectCategory">${getServicesI18n().t('services.selectCategory')}</label>
+            <select id="service-category-select"></select>
         `;
         
         // Insert after the info card
         const infoCard = document.querySelector('#in-canada-tab .info-card');
         infoCard.parentNode.insertBefore(dropdownContainer, infoCard.nextSibling);
         dropdown = document.getElementById('service-category-select');
-    } else {
-        // Clear existing options except "All Services"
-        dropdown.innerHTML = '<option value="">All Services</option>';
+        
+        // Add event listener for dropdown change
+        dropdown.addEventListener('change', function() {
+            displayFilteredServices(this.value);
+        });
     }
     
+    // Keep the current choice when the dropdown is rebuilt, e.g. after a language switch
+    const selectedCategory = dropdown.value;
+    dropdown.innerHTML = `<option value="">${getServicesI18n().t('services.allServices')}</option>`;
+    
     // Get service categories (skip default-update) - COMPLETELY DYNAMIC
     const serviceCategories = Object.keys(data).filter(key => key !== 'default-update');
     
-    // Populate dropdown with categories - NO HARDCODED MAPPINGS
-    serviceCategories.forEach(categoryKey => {
-        const option = document.createElement('option');
-        option.value = categoryKey;
-        option.textContent = getCategoryDisplayName(categoryKey); // Dynamic name generation
-        dropdown.appendChild(option);
+    // Group categories by program, in registry order, with unregistered ones last
+    const categories = getServicesCategories();
+    const groups = categories.groups.concat(null);
+    groups.forEach(group => {
+        const groupCategories = serviceCategories.filter(categoryKey => {
+            const categoryGroup = categories.group(categoryKey);
+            return group === null ? !groups.includes(categoryGroup) : categoryGroup === group;
+        });
+        if (groupCategories.length === 0) return;
+        
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = categories.groupLabel(group);
+        groupCategories.forEach(categoryKey => {
+            const option = document.createElement('option');
+            option.value = categoryKey;
+            option.textContent = getCategoryDisplayName(categoryKey);
+            optgroup.appendChild(option);
+        });
+        dropdown.appendChild(optgroup);
     });
     
-    // Add event listener for dropdown change
-    dropdown.addEventListener('change', function() {
-        displayFilteredServices(this.value);
-    });
+    dropdown.value = serviceCategories.includes(selectedCategory) ? selectedCategory : '';
 }
 
 // Display services filtered by category
 function displayFilteredServices(selectedCategory) {
     const servicesGrid = document.getElementById('services-grid');
+    const inCanada = getServicesInCanada();
     
-    if (!servicesData) {
+    if (!inCanada.latest) {
         return;
     }
     
@@ -190,12 +155,10 @@ function displayFilteredServices(selectedCategory) {
     let categoriesToShow = [];
     if (selectedCategory) {
         // Show only selected category
-        if (servicesData[selectedCategory]) {
-            categoriesToShow = [[selectedCategory, servicesData[selectedCategory]]];
-        }
+        categoriesToShow = inCanada.getCategories().filter(([key]) => key === selectedCategory);
     } else {
         // Show all categories (excluding metadata)
-        categoriesToShow = Object.entries(servicesData).filter(([key]) => key !== 'default-update');
+        categoriesToShow = inCanada.getCategories();
     }
     
     if (categoriesToShow.length > 0) {
@@ -204,15 +167,31 @@ function displayFilteredServices(selectedCategory) {
             Object.entries(categoryData).forEach(([serviceKey, processingTime]) => {
                 const serviceCard = document.createElement('div');
                 serviceCard.className = 'service-card';
+                serviceCard.dataset.service = serviceKey;
+                serviceCard.title = getServicesI18n().t('services.viewHistory');
                 
-                // Create readable service name - COMPLETELY DYNAMIC
+                // Name and description come from the category registry
                 const serviceName = formatServiceName(categoryKey, serviceKey);
+                const categories = getServicesCategories();
+                const entryKey = categories.has(serviceKey) ? serviceKey : categoryKey;
+                const description = categories.description(entryKey);
+                const flptNote = categories.isFlpt(entryKey)
+                    ? `<p class="service-description">${getServicesI18n().t('services.flptNote')}</p>`
+                    : '';
                 
                 serviceCard.innerHTML = `
                     <h4>${serviceName}</h4>
-                    <div class="service-time">${processingTime || 'N/A'}</div>
+                    <div class="service-time">${formatServiceValue(processingTime)}</div>
+                    ${description ? `<p class="service-description">${description}</p>` : ''}
+                    ${flptNote}
                 `;
                 
+                // Open the history chart for this service
+                serviceCard.addEventListener('click', () => {
+                    selectComparedServices([serviceKey]);
+                    displayServicesChart([serviceKey]);
+                });
+                
                 servicesGrid.appendChild(serviceCard);
             });
         });
@@ -220,64 +199,241 @@ function displayFilteredServices(selectedCategory) {
         const noDataElement = document.createElement('p');
         noDataElement.style.textAlign = 'center';
         noDataElement.style.color = '#6b7280';
-        noDataElement.textContent = 'No services found for the selected category';
+        noDataElement.textContent = getServicesI18n().t('services.noneFound');
         servicesGrid.appendChild(noDataElement);
     }
 }
 
+// Get the display name for a service key
+function getServiceDisplayName(serviceKey) {
+    const categoryKey = getServicesInCanada().getServiceCategory(serviceKey) || serviceKey;
+    return formatServiceName(categoryKey, serviceKey);
+}
+
+// Display the history chart for one or more services
+async function displayServicesChart(serviceKeys) {
+    const chartContainer = document.getElementById('services-chart-container');
+    if (!chartContainer) return;
+    
+    chartContainer.classList.remove('hidden');
+    
+    if (serviceKeys.length === 0) {
+        chartContainer.innerHTML = `<p class="text-gray-500 text-center">${getServicesI18n().t('services.selectToView')}</p>`;
+        return;
+    }
+    
+    const inCanada = getServicesInCanada();
+    try {
+        if (!inCanada.historyLoaded) {
+            chartContainer.innerHTML = `<p class="text-gray-500 text-center">${getServicesI18n().t('services.historyLoading')}</p>`;
+        }
+        await inCanada.loadHistory();
+    } catch (error) {
+        console.error('Error loading services history:', error);
+        chartContainer.innerHTML = `<p class="text-gray-500 text-center">${getServicesI18n().t('services.historyUnavailable')}</p>`;
+        return;
+    }
+    
+    const historicalData = inCanada.getHistoricalData(serviceKeys);
+    if (historicalData.length === 0) {
+        chartContainer.innerHTML = `<p class="text-gray-500 text-center">${getServicesI18n().t('services.noHistory')}</p>`;
+        return;
+    }
+    
+    chartContainer.innerHTML = '';
+    
+    if (!servicesChartService) {
+        servicesChartService = new ChartService(getServicesI18n(), getServicesCategories());
+    }
+    
+    const forecasts = calculateServiceForecasts(historicalData);
+    displayServiceForecastSummary(forecasts);
+    
+    const i18n = getServicesI18n();
+    const title = serviceKeys.length === 1
+        ? i18n.t('chart.titleFor', { name: getServiceDisplayName(serviceKeys[0]) })
+        : i18n.t('services.comparisonTitle');
+    
+    servicesChartService.createHistoricalChart(
+        'services-chart-container',
+        'services-historical-chart',
+        historicalData,
+        {
+            title,
+            yAxisLabel: i18n.t('chart.yAxis'),
+            labelFor: getServiceDisplayName,
+            forecasts
+        }
+    );
+}
+
+// Forecast each service in a set of historical entries
+function calculateServiceForecasts(historicalData) {
+    if (!servicesForecastService) {
+        servicesForecastService = new ForecastService({ i18n: getServicesI18n() });
+    }
+    
+    const horizonSelect = document.getElementById('services-forecast-horizon');
+    const horizon = horizonSelect ? parseInt(horizonSelect.value) : 8;
+    
+    const forecasts = {};
+    const chartData = servicesChartService.historyService.prepareChartData(historicalData);
+    const latestWeek = historicalData.reduce((latest, entry) => (entry.week > latest ? entry.week : latest), '');
+    
+    Object.entries(chartData).forEach(([serviceKey, points]) => {
+        // Services that stopped reporting before the latest week are not projected
+        if (points.length === 0 || points[points.length - 1].week !== latestWeek) return;
+        
+        const forecast = servicesForecastService.forecast(points, { horizon });
+        if (forecast) {
+            forecasts[serviceKey] = forecast;
+        }
+    });
+    
+    return forecasts;
+}
+
+// List the forecast for each charted service
+function displayServiceForecastSummary(forecasts) {
+    const summary = document.getElementById('services-forecast-summary');
+    if (!summary) return;
+    
+    const items = Object.entries(forecasts).map(([serviceKey, forecast]) =>
+        `<li><strong>${getServiceDisplayName(serviceKey)}:</strong> ${servicesForecastService.describe(forecast)}</li>`
+    );
+    
+    summary.innerHTML = items.length > 0
+        ? `<ul class="list-disc list-inside">${items.join('')}</ul>`
+        : '';
+}
+
+// Populate the multi-select used to overlay services on one chart
+function createServiceCompareSelect(data) {
+    const compareSelect = document.getElementById('service-compare-select');
+    if (!compareSelect) return;
+    
+    const selected = Array.from(compareSelect.selectedOptions).map(option => option.value);
+    compareSelect.innerHTML = '';
+    
+    Object.entries(data)
+        .filter(([key]) => key !== 'default-update')
+        .forEach(([categoryKey, categoryData]) => {
+            Object.keys(categoryData).forEach(serviceKey => {
+                const option = document.createElement('option');
+                option.value = serviceKey;
+                option.textContent = formatServiceName(categoryKey, serviceKey);
+                option.selected = selected.includes(serviceKey);
+                compareSelect.appendChild(option);
+            });
+        });
+    
+    if (!compareSelect.dataset.initialized) {
+        compareSelect.addEventListener('change', function() {
+            const serviceKeys = Array.from(this.selectedOptions).map(option => option.value);
+            displayServicesChart(serviceKeys);
+        });
+        
+        const horizonSelect = document.getElementById('services-forecast-horizon');
+        if (horizonSelect) {
+            horizonSelect.addEventListener('change', () => {
+                const serviceKeys = Array.from(compareSelect.selectedOptions).map(option => option.value);
+                if (serviceKeys.length > 0) {
+                    displayServicesChart(serviceKeys);
+                }
+            });
+        }
+        
+        compareSelect.dataset.initialized = 'true';
+    }
+}
+
+// Select the given services in the compare multi-select
+function selectComparedServices(serviceKeys) {
+    const compareSelect = document.getElementById('service-compare-select');
+    if (!compareSelect) return;
+    
+    Array.from(compareSelect.options).forEach(option => {
+        option.selected = serviceKeys.includes(option.value);
+    });
+}
+
 // Load and display In-Canada services data
 async function loadInCanadaServices() {
     const servicesLoading = document.getElementById('services-loading');
     const servicesError = document.getElementById('services-error');
-    const servicesGrid = document.getElementById('services-grid');
     
     try {
         servicesLoading.classList.remove('hidden');
         servicesError.classList.add('hidden');
         
         // Find the most recent services file
-        const fileName = await findMostRecentServicesFile();
-        console.log('Using services file:', fileName);
-        
-        const response = await fetch(`weekly/${fileName}`);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        servicesData = data; // Store globally
+        const { filename } = await getServicesInCanada().loadLatest();
+        console.log('Using services file:', filename);
         
         servicesLoading.classList.add('hidden');
         
-        // Clear existing content
-        servicesGrid.innerHTML = '';
+        renderServices();
         
-        // Add a header showing which week's data is being displayed
-        const weekInfo = fileName.match(/(\d{4})-W(\d{2})/);
-        if (weekInfo) {
-            const headerElement = document.createElement('div');
-            headerElement.className = 'info-card';
-            headerElement.innerHTML = `
-                <h3>Data from ${data['default-update']?.lastupdated || `${weekInfo[1]} Week ${parseInt(weekInfo[2])}`}</h3>
-                <p>Select a service category below to view specific processing times, or view all services.</p>
-            `;
-            servicesGrid.appendChild(headerElement);
-        }
-        
-        // Create category dropdown - COMPLETELY DYNAMIC
-        createServiceCategoryDropdown(data);
-        
-        // Display all services initially
-        displayFilteredServices('');
+        // Display all services initially, or the category picked before
+        displayFilteredServices(document.getElementById('service-category-select').value);
         
     } catch (error) {
         console.error('Error loading in-Canada services:', error);
         servicesLoading.classList.add('hidden');
-        servicesError.textContent = `Error loading in-Canada services: ${error.message}`;
+        servicesError.textContent = getServicesI18n().t('services.loadError', { message: error.message });
         servicesError.classList.remove('hidden');
     }
 }
 
+// Build the week header, category dropdown and compare list for the loaded services
+function renderServices() {
+    const servicesGrid = document.getElementById('services-grid');
+    const i18n = getServicesI18n();
+    const inCanada = getServicesInCanada();
+    
+    // Clear existing content
+    servicesGrid.innerHTML = '';
+    
+    // Add a header showing which week's data is being displayed
+    const weekInfo = inCanada.latest.isoWeek.match(/(\d{4})-W(\d{2})/);
+    if (weekInfo) {
+        const lastUpdated = inCanada.getLastUpdatedDate();
+        const dataDate = lastUpdated
+            ? i18n.formatDate(lastUpdated)
+            : i18n.t('services.weekOf', { year: weekInfo[1], week: parseInt(weekInfo[2]) });
+        
+        const headerElement = document.createElement('div');
+        headerElement.className = 'info-card';
+        headerElement.innerHTML = `
+            <h3>${i18n.t('services.dataFrom', { date: dataDate })}</h3>
+            <p>${i18n.t('services.selectHint')}</p>
+        `;
+        servicesGrid.appendChild(headerElement);
+    }
+    
+    // Create category dropdown - COMPLETELY DYNAMIC
+    createServiceCategoryDropdown(inCanada.latest.data);
+    
+    // Create service comparison multi-select
+    createServiceCompareSelect(inCanada.latest.data);
+}
+
+// Redraw the services tab in the current language
+export function refreshServicesLanguage() {
+    if (!getServicesInCanada().latest) return;
+    
+    renderServices();
+    
+    const dropdown = document.getElementById('service-category-select');
+    displayFilteredServices(dropdown ? dropdown.value : '');
+    
+    const compareSelect = document.getElementById('service-compare-select');
+    const serviceKeys = compareSelect ? Array.from(compareSelect.selectedOptions).map(option => option.value) : [];
+    if (serviceKeys.length > 0) {
+        displayServicesChart(serviceKeys);
+    }
+}
+
 // Initialize services tab functionality
 function initializeServicesTab() {
     const tabButtons = document.querySelectorAll('.tab-button');
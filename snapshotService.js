@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CacheService } from './cacheService.js';
+import { DataService } from './dataService.js';
+import { DurationService } from './durationService.js';
+
+/**
+ * SnapshotService - Writes the weekly snapshots of the IRCC files and builds weekly/index.json
+ * Node only; run it with scripts/snapshot.js
+ */
+export class SnapshotService {
+    constructor({ dataDir = 'data', weeklyDir = 'weekly', keepWeeks = 52, dataService = null } = {}) {
+        this.dataDir = dataDir;
+        this.weeklyDir = weeklyDir;
+        // Newest weeks kept per file type; null keeps everything
+        this.keepWeeks = keepWeeks;
+        this.dataService = dataService || new DataService({
+            persistentCache: new CacheService(),
+            durationService: new DurationService()
+        });
+        // Snapshot type -> fetched IRCC file in dataDir
+        this.sources = {
+            'processing-times': 'data-ptime-en.json',
+            'in-canada-services': 'data-ptime-non-country-en.json',
+            'country-names': 'data-country-name-en.json'
+        };
+        this.indexVersion = 2;
+    }
+
+    /**
+     * Snapshot the fetched files for the ISO week of date, apply retention and rebuild the index
+     *
+     * The week is skipped when every file matches the newest snapshot of its type,
+     * i.e. IRCC has not published anything since the last run. Returns
+     * { isoWeek, skipped, written, removed, index }.
+     */
+    build({ date = new Date(), dryRun = false } = {}) {
+        const isoWeek = this.dataService.formatIsoWeek(date);
+        const sources = this.readSources();
+        const entries = this.readEntries();
+
+        const unchanged = Object.entries(sources).every(([type, source]) => {
+            const latest = entries.find(entry => entry.type === type);
+            return latest && latest.hash === source.hash;
+        });
+
+        const written = [];
+        if (!unchanged) {
+            Object.entries(sources).forEach(([type, source]) => {
+                const file = `${isoWeek}-${type}.json`;
+                if (!dryRun) {
+                    fs.mkdirSync(this.weeklyDir, { recursive: true });
+                    fs.copyFileSync(source.path, path.join(this.weeklyDir, file));
+                }
+                written.push(file);
+            });
+        }
+
+        const removed = this.applyRetention(dryRun ? this.addPlannedEntries(entries, written) : this.readEntries(), { dryRun });
+        const index = dryRun ? null : this.writeIndex();
+
+        return { isoWeek, skipped: unchanged, written, removed, index };
+    }
+
+    /**
+     * Read the three fetched files, failing when one is missing or not JSON
+     */
+    readSources() {
+        const sources = {};
+        Object.entries(this.sources).forEach(([type, name]) => {
+            const sourcePath = path.join(this.dataDir, name);
+            const data = this.readJson(sourcePath);
+            sources[type] = { path: sourcePath, data, hash: this.hash(data) };
+        });
+        return sources;
+    }
+
+    /**
+     * Describe every snapshot file in the weekly directory, newest first
+     *
+     * Each entry is { file, isoWeek, type, legacy, lastupdated, hash, size }.
+     * Legacy files without a type suffix (e.g. 2025-W36.json) are processing times.
+     */
+    readEntries() {
+        if (!fs.existsSync(this.weeklyDir)) return [];
+
+        const typeOrder = this.dataService.snapshotTypes;
+        return fs.readdirSync(this.weeklyDir)
+            .filter(file => /^\d{4}-W\d{2}(-[a-z-]+)?\.json$/.test(file))
+            .map(file => {
+                const weekInfo = this.dataService.parseWeekFilename(file);
+                if (!weekInfo.type) return null;
+
+                const filePath = path.join(this.weeklyDir, file);
+                const data = this.readJson(filePath);
+                return {
+                    file,
+                    isoWeek: weekInfo.isoWeek,
+                    type: weekInfo.type,
+                    legacy: weekInfo.legacy,
+                    lastupdated: this.dataService.extractLastUpdated(data),
+                    hash: this.hash(data),
+                    size: fs.statSync(filePath).size
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) =>
+                b.isoWeek.localeCompare(a.isoWeek)
+                || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
+                || Number(a.legacy) - Number(b.legacy)
+            );
+    }
+
+    /**
+     * Add the files a dry run would have written, so retention sees them
+     */
+    addPlannedEntries(entries, files) {
+        const planned = files.map(file => ({ file, ...this.dataService.parseWeekFilename(file) }));
+        return planned.concat(entries.filter(entry => !files.includes(entry.file)))
+            .sort((a, b) => b.isoWeek.localeCompare(a.isoWeek));
+    }
+
+    /**
+     * Remove snapshots outside the newest keepWeeks weeks of each type and return their names
+     */
+    applyRetention(entries, { dryRun = false } = {}) {
+        if (!this.keepWeeks) return [];
+
+        const removed = [];
+        this.dataService.snapshotTypes.forEach(type => {
+            const weeks = [...new Set(entries.filter(entry => entry.type === type).map(entry => entry.isoWeek))];
+            const kept = new Set(weeks.slice(0, this.keepWeeks));
+
+            entries
+                .filter(entry => entry.type === type && !kept.has(entry.isoWeek))
+                .forEach(entry => {
+                    if (!dryRun) {
+                        fs.unlinkSync(path.join(this.weeklyDir, entry.file));
+                    }
+                    removed.push(entry.file);
+                });
+        });
+        return removed;
+    }
+
+    /**
+     * Rebuild weekly/index.json from the files on disk and return it
+     */
+    writeIndex() {
+        const index = {
+            version: this.indexVersion,
+            retentionWeeks: this.keepWeeks,
+            files: this.readEntries()
+        };
+
+        fs.mkdirSync(this.weeklyDir, { recursive: true });
+        fs.writeFileSync(path.join(this.weeklyDir, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+        return index;
+    }
+
+    /**
+     * Hash the parsed content, so whitespace and byte order marks do not count as changes
+     */
+    hash(data) {
+        return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    }
+
+    readJson(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+    }
+}
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertService } from '../alertService.js';
+import { createNetwork, createDataService } from './helpers/network.js';
+
+/**
+ * Install a Map-backed localStorage for the duration of a test
+ */
+function installStorage(t) {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+    t.after(() => delete globalThis.localStorage);
+    return items;
+}
+
+/**
+ * Publish a week of data by setting it directly: the visitor time for India and the work permit time
+ */
+function publish(dataService, lastupdated, visitorTime, workPermitTime) {
+    dataService.currentData = { 'visitor-outside-canada': { IN: visitorTime, lastupdated } };
+    dataService.inCanadaData = { 'default-update': { lastupdated }, work: { work_permit: workPermitTime } };
+}
+
+test('the first check only records the update dates', t => {
+    installStorage(t);
+    const dataService = createDataService(createNetwork({}));
+    publish(dataService, 'May 6, 2026', '30 days', '100 days');
+    const alerts = new AlertService(dataService);
+    alerts.addRule({ kind: 'category', key: 'visitor-outside-canada', country: 'IN', condition: 'change' });
+
+    assert.deepEqual(alerts.check(), []);
+    assert.ok(alerts.state.seen['processing-times'] > 0);
+});
+
+test('a threshold fires once when the time crosses it', t => {
+    installStorage(t);
+    const dataService = createDataService(createNetwork({}));
+    publish(dataService, 'May 6, 2026', '40 days', '100 days');
+    const alerts = new AlertService(dataService);
+    alerts.addRule({ kind: 'category', key: 'visitor-outside-canada', country: 'IN', condition: 'below', threshold: 30 });
+    alerts.check();
+
+    publish(dataService, 'May 13, 2026', '27 days', '100 days');
+    const fired = alerts.check();
+    assert.equal(fired.length, 1);
+    assert.deepEqual([fired[0].before, fired[0].after], ['40 days', '27 days']);
+
+    publish(dataService, 'May 20, 2026', '25 days', '100 days');
+    assert.deepEqual(alerts.check(), []);
+    assert.equal(alerts.getFired().length, 1);
+});
+
+test('the same time in another language or format is not a change', t => {
+    installStorage(t);
+    const dataService = createDataService(createNetwork({}));
+    publish(dataService, 'May 6, 2026', '28 days', '100 days');
+    const alerts = new AlertService(dataService);
+    alerts.addRule({ kind: 'category', key: 'visitor-outside-canada', country: 'IN', condition: 'change' });
+    alerts.addRule({ kind: 'service', key: 'work_permit', condition: 'above', threshold: 120 });
+    alerts.check();
+
+    publish(dataService, '13 mai 2026', '4 semaines', '130 jours');
+    const fired = alerts.check();
+    assert.deepEqual(fired.map(alert => alert.rule.key), ['work_permit']);
+    assert.equal(fired[0].rule.serviceCategory, 'work');
+});
+
+test('rules and fired alerts are kept in storage', t => {
+    const items = installStorage(t);
+    const dataService = createDataService(createNetwork({}));
+    publish(dataService, 'May 6, 2026', '30 days', '100 days');
+    const rule = new AlertService(dataService).addRule({ kind: 'service', key: 'work_permit', condition: 'change' });
+
+    const reloaded = new AlertService(dataService);
+    assert.deepEqual(reloaded.getRules().map(saved => saved.id), [rule.id]);
+    assert.equal(reloaded.getRules()[0].value, '100 days');
+
+    reloaded.removeRule(rule.id);
+    assert.deepEqual(JSON.parse(items.get('ircc-alerts')).rules, []);
+});
+
+test('invalid rules are rejected', t => {
+    installStorage(t);
+    const alerts = new AlertService(createDataService(createNetwork({})));
+
+    assert.throws(() => alerts.addRule({ kind: 'category', key: 'study', condition: 'change' }), /needs a country/);
+    assert.throws(() => alerts.addRule({ kind: 'service', key: 'work_permit', condition: 'soon' }), /Unknown alert condition/);
+    assert.throws(() => alerts.addRule({ kind: 'service', key: 'work_permit', condition: 'below', threshold: 0 }), /positive number/);
+});
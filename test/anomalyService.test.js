@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AnomalyService } from '../anomalyService.js';
+
+const anomalies = new AnomalyService();
+const points = values => values.map(y => ({ y }));
+
+test('a jump well outside the trailing spread is flagged', () => {
+    const result = anomalies.detectLatest(points([30, 31, 29, 30, 32, 31, 30, 60]));
+
+    assert.equal(result.anomaly, true);
+    assert.equal(result.median, 30);
+    assert.equal(result.deviation, 30);
+});
+
+test('small moves on a flat series are not flagged', () => {
+    assert.equal(anomalies.detectLatest(points([30, 30, 30, 30, 30, 32])).anomaly, false);
+});
+
+test('points without enough history or without a time are not scored', () => {
+    const result = anomalies.detect(points([30, 31, 29, null, 90]));
+
+    assert.deepEqual(result.map(item => item.score), [null, null, null, null, null]);
+    assert.ok(result.every(item => !item.anomaly));
+    assert.equal(anomalies.detectLatest([]), null);
+});
+
+test('only the trailing window counts', () => {
+    const service = new AnomalyService({ window: 4 });
+    const result = service.detectLatest(points([10, 10, 10, 10, 60, 62, 61, 60, 63]));
+
+    assert.equal(result.anomaly, false);
+    assert.equal(result.median, 60.5);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataService } from '../dataService.js';
+import { ApiService } from '../apiService.js';
+import { createFileFetch } from '../fileFetch.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Build every API document from the files in fixtures/, keyed by path
+ */
+async function buildFixtureApi() {
+    const api = new ApiService(new DataService({ baseUrl: '', fetch: createFileFetch(fixtures) }));
+    await api.load();
+    return Object.fromEntries(api.build().map(({ path: documentPath, data }) => [documentPath, data]));
+}
+
+test('the index lists every document that is built', async () => {
+    const documents = await buildFixtureApi();
+    const index = documents['index.json'];
+
+    assert.equal(index.version, 1);
+    assert.equal(index.lastupdated, 'May 13, 2026');
+    assert.deepEqual(index.weeks, ['2025-W51', '2025-W52', '2026-W01']);
+    assert.deepEqual(index.categories.map(category => category.key), ['visitor-outside-canada', 'study']);
+    assert.deepEqual(index.categories[0].label, { en: 'Visitor visa (outside Canada)', fr: 'Visa de visiteur (hors du Canada)' });
+
+    const listed = [
+        'index.json',
+        ...index.countries.map(country => country.path),
+        ...index.categories.map(category => category.path),
+        ...index.services.map(service => service.path)
+    ];
+    assert.deepEqual(listed.sort(), Object.keys(documents).sort());
+});
+
+test('country documents store history by column, aligned with weeks', async () => {
+    const country = (await buildFixtureApi())['countries/IN.json'];
+
+    assert.equal(country.name, 'India');
+    assert.deepEqual(country.weeks, ['2025-W51', '2025-W52', '2026-W01']);
+    assert.deepEqual(country.series.study.current, { raw: '8 weeks', days: 56, status: 'ok' });
+    assert.deepEqual(country.series.study.raw, ['9 weeks', '9 weeks', '8 weeks']);
+    assert.deepEqual(country.series.study.days, [63, 63, 56]);
+});
+
+test('service documents have their own weeks, with null where a week has no value', async () => {
+    const service = (await buildFixtureApi())['services/work_extension.json'];
+
+    assert.equal(service.category, 'work_extension');
+    assert.equal(service.flpt, false);
+    assert.deepEqual(service.current, { raw: '180 days', days: 180, status: 'ok' });
+    assert.deepEqual(service.weeks, ['2025-W52', '2026-W01']);
+    assert.deepEqual(service.raw, ['190 days', '185 days']);
+
+    const api = new ApiService(new DataService());
+    assert.deepEqual(api.createColumns(['2026-W01', '2026-W02'], [{ week: '2026-W02', data: '5 months' }]), {
+        raw: [null, '5 months'],
+        days: [null, 152.2]
+    });
+});
+
+test('category documents rank countries with a summary and changes since earlier updates', async () => {
+    const category = (await buildFixtureApi())['categories/visitor-outside-canada.json'];
+
+    assert.deepEqual(category.summary, { countries: 2, withData: 2, minDays: 27, medianDays: 33.5, maxDays: 40 });
+    assert.deepEqual(category.countries.map(row => [row.country, row.days, row.weekChange, row.quarterChange]), [
+        ['IN', 27, -2, null],
+        ['PH', 40, -2, null]
+    ]);
+});
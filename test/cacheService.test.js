@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CacheService, MemoryCacheStore } from '../cacheService.js';
+
+test('entries round-trip with their metadata', async () => {
+    const cache = new CacheService(new MemoryCacheStore());
+    await cache.set('/weekly/2026-W20-processing-times.json', { study: { IN: '8 weeks' } }, { immutable: true, lastUpdated: 'May 13, 2026' });
+
+    const entry = await cache.get('/weekly/2026-W20-processing-times.json');
+    assert.deepEqual(entry.data, { study: { IN: '8 weeks' } });
+    assert.equal(entry.immutable, true);
+    assert.equal(entry.lastUpdated, 'May 13, 2026');
+    assert.ok(!Number.isNaN(Date.parse(entry.storedAt)));
+    assert.equal(await cache.get('/data/missing.json'), null);
+});
+
+test('delete removes one entry and clear removes the rest', async () => {
+    const store = new MemoryCacheStore();
+    const cache = new CacheService(store);
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+
+    await cache.delete('a');
+    assert.equal(await cache.get('a'), null);
+    assert.equal((await cache.get('b')).data, 2);
+
+    await cache.clear();
+    assert.equal(store.entries.size, 0);
+});
+
+test('a failing store is treated as a cache miss', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const cache = new CacheService({
+        get: async () => { throw new Error('blocked'); },
+        set: async () => { throw new Error('quota'); }
+    });
+
+    assert.equal(await cache.get('a'), null);
+    assert.equal((await cache.set('a', 1)).data, 1);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('without IndexedDB the default store keeps entries in memory', () => {
+    assert.ok(new CacheService().store instanceof MemoryCacheStore);
+});
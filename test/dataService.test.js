@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryCacheStore } from '../cacheService.js';
+import { createNetwork, createDataService, loadDataService } from './helpers/network.js';
+
+function createFiles(lastupdated, visitorTime) {
+    return {
+        '/data/data-country-name-en.json': { 'country-name': { IN: 'India' } },
+        '/data/data-ptime-en.json': { 'visitor-outside-canada': { IN: visitorTime, lastupdated } },
+        '/data/data-ptime-non-country-en.json': { 'default-update': { lastupdated }, work: { work_permit: '100 days' } },
+        '/weekly/index.json': ['2026-W19-processing-times.json', '2026-W20-processing-times.json'],
+        '/weekly/2026-W19-processing-times.json': { 'visitor-outside-canada': { IN: '30 days', lastupdated: 'May 6, 2026' } },
+        '/weekly/2026-W20-processing-times.json': { 'visitor-outside-canada': { IN: '27 days', lastupdated: 'May 13, 2026' } }
+    };
+}
+
+test('refresh revalidates the current files without downloading weekly snapshots again', async () => {
+    const network = createNetwork(createFiles('May 13, 2026', '27 days'));
+    const dataService = createDataService(network);
+    await dataService.initialize();
+    await dataService.loadWeeklyData();
+
+    network.files = { ...network.files, ...createFiles('May 20, 2026', '25 days') };
+    network.requests = [];
+    await dataService.refresh();
+    await dataService.loadWeeklyData();
+
+    assert.equal(dataService.getCountryData('IN')['visitor-outside-canada'], '25 days');
+    assert.ok(network.requests.includes('/data/data-ptime-en.json'));
+    assert.ok(network.requests.includes('/weekly/index.json'));
+    assert.deepEqual(network.requests.filter(url => /\/weekly\/\d{4}-W/.test(url)), []);
+    assert.equal(dataService.getAvailableWeeks('processing-times').length, 2);
+});
+
+test('refresh while offline keeps the cached data', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const network = createNetwork(createFiles('May 13, 2026', '27 days'));
+    const store = new MemoryCacheStore();
+    const firstVisit = createDataService(network, { store });
+    await firstVisit.initialize();
+    await firstVisit.loadWeeklyData();
+
+    // A new page load that goes offline before pressing Refresh
+    const dataService = createDataService(network, { store });
+    await dataService.initialize();
+    network.offline = true;
+    await dataService.refresh();
+    await dataService.loadWeeklyData();
+
+    assert.equal(dataService.getCountryData('IN')['visitor-outside-canada'], '27 days');
+    assert.equal(dataService.isUsingCachedData(), true);
+    assert.equal(dataService.getAvailableWeeks('processing-times').length, 2);
+    assert.ok(store.entries.has('/data/data-ptime-en.json'));
+});
+
+test('clearCache still removes every cached file', async () => {
+    const network = createNetwork(createFiles('May 13, 2026', '27 days'));
+    const store = new MemoryCacheStore();
+    const dataService = createDataService(network, { store });
+    await dataService.initialize();
+    await dataService.loadWeeklyData();
+
+    await dataService.clearCache();
+
+    assert.equal(store.entries.size, 0);
+    assert.equal(dataService.cache.size, 0);
+});
+
+/**
+ * Weekly snapshots of Chile's visitor time, each holding the update before its week
+ */
+function createRankingFiles(count) {
+    const files = {
+        '/data/data-country-name-en.json': { 'country-name': { CL: 'Chile' } },
+        '/data/data-ptime-en.json': { 'visitor-outside-canada': { CL: '15 days', lastupdated: 'May 13, 2026' } },
+        '/data/data-ptime-non-country-en.json': { 'default-update': { lastupdated: 'May 13, 2026' } },
+        '/weekly/index.json': []
+    };
+    for (let i = 0; i < count; i++) {
+        const week = 20 - i;
+        const updated = new Date(2026, 4, 6 - i * 7);
+        const file = `2026-W${String(week).padStart(2, '0')}-processing-times.json`;
+        files['/weekly/index.json'].unshift(file);
+        files[`/weekly/${file}`] = {
+            'visitor-outside-canada': {
+                CL: `${16 + i} days`,
+                lastupdated: updated.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+            }
+        };
+    }
+    return files;
+}
+
+test('ranking changes compare against the previous update, not the previous week', async () => {
+    const dataService = await loadDataService(createRankingFiles(13));
+    const [chile] = dataService.getCategoryRanking('visitor-outside-canada');
+
+    // The W20 snapshot holds the May 6 update (16 days); W19 holds April 29 (17 days)
+    assert.equal(chile.weekChange, -1);
+    assert.equal(chile.quarterChange, -12);
+});
+
+test('ranking changes skip snapshots of the current update and repeated updates', async () => {
+    const files = createRankingFiles(3);
+    // A late run saved the current update as W21, and W19 repeats the May 6 update
+    files['/weekly/index.json'].push('2026-W21-processing-times.json');
+    files['/weekly/2026-W21-processing-times.json'] = files['/data/data-ptime-en.json'];
+    files['/weekly/2026-W19-processing-times.json'] = files['/weekly/2026-W20-processing-times.json'];
+
+    const dataService = await loadDataService(files);
+    const [chile] = dataService.getCategoryRanking('visitor-outside-canada');
+
+    assert.equal(chile.weekChange, -1);
+    assert.equal(chile.quarterChange, null);
+    assert.deepEqual(dataService.getEarlierUpdates().map(snapshot => snapshot.isoWeek), ['2026-W20', '2026-W18']);
+});
+
+test('nested sub-measures become one series each, in file order', async () => {
+    const dataService = await loadDataService({
+        '/data/data-country-name-en.json': { 'country-name': { IN: 'India', PH: 'Philippines' } },
+        '/data/data-ptime-en.json': {
+            study: { IN: '8 weeks', lastupdated: 'May 13, 2026' },
+            refugees_private: { IN: { sponsor: '28 months', refugee: '19 months' }, PH: { sponsor: '30 months' }, lastupdated: 'May 13, 2026' },
+            work: { PH: '10 weeks', lastupdated: 'May 13, 2026' }
+        },
+        '/data/data-ptime-non-country-en.json': { 'default-update': { lastupdated: 'May 13, 2026' } },
+        '/weekly/index.json': ['2026-W19-processing-times.json'],
+        '/weekly/2026-W19-processing-times.json': {
+            refugees_private: { IN: { sponsor: '27 months', refugee: '18 months' }, lastupdated: 'May 6, 2026' }
+        }
+    });
+
+    assert.deepEqual(dataService.getSeriesKeys(), ['study', 'refugees_private.sponsor', 'refugees_private.refugee', 'work']);
+    assert.deepEqual(dataService.getSeriesData()['refugees_private.sponsor'], { IN: '28 months', PH: '30 months' });
+    assert.deepEqual(dataService.getSeriesData()['refugees_private.refugee'], { IN: '19 months' });
+    assert.deepEqual(dataService.getCountryData('IN'), {
+        study: '8 weeks',
+        'refugees_private.sponsor': '28 months',
+        'refugees_private.refugee': '19 months'
+    });
+    assert.deepEqual(dataService.getHistoricalData('IN', 'refugees_private.refugee').map(entry => entry.data), ['18 months']);
+    assert.equal(dataService.getCategoryRanking('refugees_private.sponsor').length, 2);
+    assert.deepEqual(dataService.getSeriesCoverage('refugees_private.refugee'), { total: 1, withData: [{ country: 'IN', name: 'India' }] });
+    assert.equal(dataService.getSeriesData(), dataService.getSeriesData());
+});
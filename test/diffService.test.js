@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DiffService } from '../diffService.js';
+
+const diff = new DiffService();
+
+test('changes are listed largest first with their direction', () => {
+    const result = diff.diffProcessingTimes(
+        { study: { IN: '8 weeks', PH: '40 days', lastupdated: 'May 6, 2026' } },
+        { study: { IN: '10 weeks', PH: '38 days', lastupdated: 'May 13, 2026' } }
+    );
+
+    assert.deepEqual(result.changes.map(change => [change.country, change.direction, change.change]), [
+        ['IN', 'increase', 14],
+        ['PH', 'decrease', -2]
+    ]);
+    assert.equal(result.changes[0].percentChange, 25);
+});
+
+test('a new format for the same time is not a change', () => {
+    const result = diff.diffProcessingTimes({ study: { IN: '4 weeks' } }, { study: { IN: '28 days' } });
+
+    assert.deepEqual(result.changes, []);
+});
+
+test('a switch to or from a sentinel is a status change', () => {
+    const result = diff.diffProcessingTimes({ study: { IN: '8 weeks' } }, { study: { IN: 'Not enough data' } });
+
+    assert.equal(result.changes[0].direction, 'status');
+    assert.equal(result.changes[0].change, null);
+    assert.equal(result.changes[0].afterDays, null);
+});
+
+test('added and removed categories and items are reported', () => {
+    const result = diff.diffInCanadaServices(
+        { 'default-update': { lastupdated: 'May 6, 2026' }, work: { work_permit: '100 days', pgwp: '80 days' }, iec: { iec: '5 weeks' } },
+        { 'default-update': { lastupdated: 'May 13, 2026' }, work: { work_permit: '100 days', lmia: '60 days' }, eta: { eta: '5 minutes' } }
+    );
+
+    assert.deepEqual(result.addedCategories, ['eta']);
+    assert.deepEqual(result.removedCategories, ['iec']);
+    assert.deepEqual(result.addedItems, [{ category: 'work', service: 'lmia', value: '60 days' }]);
+    assert.deepEqual(result.removedItems, [{ category: 'work', service: 'pgwp', value: '80 days' }]);
+    assert.deepEqual(result.changes, []);
+});
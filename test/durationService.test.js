@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DurationService } from '../durationService.js';
+
+const durations = new DurationService();
+
+// Months are 30.44 days, so compare to the nearest hundredth
+const assertDays = (value, days) => assert.equal(Math.round(durations.toNormalizedDays(value) * 100) / 100, days);
+
+test('durations in each unit are normalized to days', () => {
+    assertDays('27 days', 27);
+    assertDays('1 day', 1);
+    assertDays('8 weeks', 56);
+    assertDays('5 months', 152.2);
+    assertDays('2 years', 730.5);
+    assertDays('36 hours', 1.5);
+    assertDays(12, 12);
+});
+
+test('French values parse to the same durations', () => {
+    assertDays('27 jours', 27);
+    assertDays('8 semaines', 56);
+    assertDays('5 mois', 152.2);
+    assertDays('1,5 an', 547.88);
+});
+
+test('labelled values keep their label', () => {
+    assert.deepEqual(durations.parse('Part 1: 5 months'), {
+        raw: 'Part 1: 5 months',
+        label: 'Part 1',
+        amount: 5,
+        unit: 'month',
+        days: 5 * 30.44,
+        status: 'ok'
+    });
+    assert.equal(durations.parse('Partie 1 : 5 mois').label, 'Partie 1');
+});
+
+test('sentinels and unknown values have a status instead of days', () => {
+    assert.equal(durations.parse('Not enough data').status, 'insufficient-data');
+    assert.equal(durations.parse('Pas assez de données').status, 'insufficient-data');
+    assert.equal(durations.parse('No processing time available').status, 'unavailable');
+    assert.equal(durations.parse('Aucun délai de traitement disponible').status, 'unavailable');
+    assert.equal(durations.parse('soon').status, 'unparsed');
+    assert.equal(durations.parse(null).status, 'unparsed');
+    assert.equal(durations.parse('Not enough data').days, null);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EstimatorService } from '../estimatorService.js';
+
+const estimator = new EstimatorService();
+const dateString = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+test('percentiles interpolate between the sorted values', () => {
+    assert.equal(estimator.percentile([30, 10, 20, 40], 50), 25);
+    assert.equal(estimator.percentile([10, 20, 30], 90), 28);
+    assert.equal(estimator.percentile([], 50), null);
+});
+
+test('the window spans the recent range around the posted time', () => {
+    const history = [40, 35, 30, 28, 26].map((y, i) => ({ y, week: `2026-W${10 + i}` }));
+    const result = estimator.estimate({
+        currentDays: 28,
+        history,
+        submissionDate: new Date(2026, 2, 2),
+        submissionWeek: '2026-W10',
+        today: new Date(2026, 2, 12)
+    });
+
+    assert.equal(result.typical.days, 28);
+    assert.equal(dateString(result.typical.date), '2026-03-30');
+    assert.ok(result.best.days <= 28 && result.best.days >= 26);
+    assert.ok(result.worst.days > 28 && result.worst.days <= 40);
+    // Ten calendar days, though only 239 hours in Canada: clocks move forward on March 8
+    assert.equal(result.elapsedDays, 10);
+    assert.equal(result.remainingDays, 18);
+    assert.equal(result.sampleSize, 6);
+    assert.deepEqual(result.drift, { week: '2026-W10', days: 40, change: -12 });
+});
+
+test('decision dates are calendar days across a daylight saving change', () => {
+    // Canadian clocks move forward on March 8, 2026
+    const result = estimator.estimate({ currentDays: 14, submissionDate: new Date(2026, 2, 1), today: new Date(2026, 2, 1) });
+
+    assert.equal(dateString(result.typical.date), '2026-03-15');
+    assert.equal(result.typical.date.getHours(), 0);
+});
+
+test('only the recent weeks count and old applications have no days left', () => {
+    const history = [400, 400, 10, 10, 10].map((y, i) => ({ y, week: `2026-W${10 + i}` }));
+    const service = new EstimatorService({ recentWeeks: 3 });
+    const result = service.estimate({ currentDays: 10, history, submissionDate: new Date(2026, 0, 5), today: new Date(2026, 4, 1) });
+
+    assert.equal(result.worst.days, 10);
+    assert.equal(result.remainingDays, 0);
+    assert.equal(result.drift, null);
+});
+
+test('there is no estimate without a posted time or a date', () => {
+    assert.equal(estimator.estimate({ currentDays: null, submissionDate: new Date() }), null);
+    assert.equal(estimator.estimate({ currentDays: 10 }), null);
+});
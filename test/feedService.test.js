@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DataService } from '../dataService.js';
+import { CategoryService } from '../categoryService.js';
+import { I18nService } from '../i18nService.js';
+import { FeedService } from '../feedService.js';
+import { loadDataService } from './helpers/network.js';
+
+const files = {
+    '/data/data-country-name-en.json': { 'country-name': { IN: 'India', PH: 'Philippines' } },
+    '/data/data-ptime-en.json': { 'visitor-outside-canada': { IN: '27 days', PH: '40 days', lastupdated: 'May 13, 2026' } },
+    '/data/data-ptime-non-country-en.json': { 'default-update': { lastupdated: 'May 13, 2026' }, work: { work_permit: '100 days' } },
+    '/weekly/index.json': ['2026-W19-processing-times.json', '2026-W20-processing-times.json'],
+    '/weekly/2026-W19-processing-times.json': { 'visitor-outside-canada': { IN: '50 days', PH: '41 days', lastupdated: 'May 6, 2026' } },
+    '/weekly/2026-W20-processing-times.json': { 'visitor-outside-canada': { IN: '27 days', PH: '40 days', lastupdated: 'May 13, 2026' } }
+};
+
+async function createFeed(siteUrl) {
+    return new FeedService(await loadDataService(files), new CategoryService(new I18nService({ language: 'en' })), { siteUrl });
+}
+
+test('the feed needs the dashboard URL', () => {
+    assert.throws(() => new FeedService(new DataService(), new CategoryService(new I18nService({ language: 'en' }))), /siteUrl/);
+});
+
+test('entries have tag ids that do not change with the dashboard URL', async () => {
+    const [entry] = (await createFeed('https://example.org/ircc/')).getEntries();
+    const [moved] = (await createFeed('https://example.com/dashboard/')).getEntries();
+
+    assert.equal(entry.id, 'tag:github.com,2025:caipsnotes/ircc-processing-times:en:changes:2026-W19/2026-W20');
+    assert.equal(moved.id, entry.id);
+    assert.equal(entry.link, 'https://example.org/ircc/#tab=changes&from=2026-W19&to=2026-W20');
+});
+
+test('only significant country moves are listed', async () => {
+    const feed = await createFeed('https://example.org/ircc/');
+    const [entry] = feed.getEntries();
+    const xml = feed.toAtom([entry]);
+
+    assert.deepEqual(entry.times.significant['visitor-outside-canada'].map(change => change.country), ['IN']);
+    assert.match(xml, /<id>tag:github\.com,2025:caipsnotes\/ircc-processing-times:en:feed<\/id>/);
+    assert.match(xml, /<id>tag:github\.com,2025:caipsnotes\/ircc-processing-times:en:changes:2026-W19\/2026-W20<\/id>/);
+    assert.match(xml, /India: 50 days → 27 days/);
+    assert.doesNotMatch(xml, /Philippines:/);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ForecastService } from '../forecastService.js';
+import { I18nService } from '../i18nService.js';
+
+function createSeries(weeks, values) {
+    return values.map((y, i) => ({ x: new Date(Date.UTC(2025, 10, 3 + i * 7)), y, week: weeks[i] }));
+}
+
+const weeks = ['2025-W45', '2025-W46', '2025-W47', '2025-W48', '2025-W49', '2025-W50', '2025-W51', '2025-W52'];
+
+test('forecast needs a minimum number of points', () => {
+    const forecast = new ForecastService({ i18n: new I18nService({ language: 'en' }) });
+
+    assert.equal(forecast.forecast(createSeries(weeks.slice(0, 5), [30, 31, 32, 33, 34])), null);
+});
+
+test('forecast weeks continue into the next ISO year', () => {
+    const forecast = new ForecastService({ i18n: new I18nService({ language: 'en' }) });
+    const result = forecast.forecast(createSeries(weeks, [30, 32, 34, 36, 38, 40, 42, 44]), { horizon: 3 });
+
+    assert.deepEqual(result.points.map(point => point.week), ['2026-W01', '2026-W02', '2026-W03']);
+});
+
+test('a rising series is projected to keep rising inside its band', () => {
+    const forecast = new ForecastService({ i18n: new I18nService({ language: 'en' }) });
+    const result = forecast.forecast(createSeries(weeks, [30, 32, 34, 36, 38, 40, 42, 44]), { horizon: 4 });
+
+    result.points.forEach((point, i) => {
+        assert.ok(point.y > (i === 0 ? 44 : result.points[i - 1].y));
+        assert.ok(point.lower <= point.y && point.y <= point.upper);
+    });
+});
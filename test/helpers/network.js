@@ -0,0 +1,43 @@
+import { DataService } from '../../dataService.js';
+import { CacheService, MemoryCacheStore } from '../../cacheService.js';
+
+/**
+ * A fetch over an in-memory map of URL -> JSON that records requests and can go offline
+ *
+ * Replace network.files to publish new data; unknown URLs answer 404.
+ */
+export function createNetwork(files) {
+    const network = {
+        files,
+        offline: false,
+        requests: [],
+        fetch: async url => {
+            network.requests.push(url);
+            if (network.offline) throw new TypeError('Failed to fetch');
+            const data = network.files[url];
+            return data === undefined
+                ? { ok: false, status: 404, json: async () => { throw new Error('404'); } }
+                : { ok: true, status: 200, json: async () => structuredClone(data) };
+        }
+    };
+    return network;
+}
+
+/**
+ * A DataService over a network with an in-memory persistent cache and no retries
+ */
+export function createDataService(network, { store = new MemoryCacheStore(), language = 'en' } = {}) {
+    const dataService = new DataService({ baseUrl: '', fetch: network.fetch, persistentCache: new CacheService(store), language });
+    dataService.fetchOptions.retries = 0;
+    return dataService;
+}
+
+/**
+ * A DataService with the current files and every weekly snapshot in files loaded
+ */
+export async function loadDataService(files, options) {
+    const dataService = createDataService(createNetwork(files), options);
+    await dataService.initialize();
+    await dataService.loadWeeklyData();
+    return dataService;
+}
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatIsoWeek, isoWeekToDate, shiftIsoWeek } from '../isoWeek.js';
+
+test('dates are numbered with the ISO week-numbering year', () => {
+    assert.equal(formatIsoWeek(new Date(2026, 4, 13)), '2026-W20');
+    assert.equal(formatIsoWeek(new Date(2025, 11, 29)), '2026-W01');
+    assert.equal(formatIsoWeek(new Date(2027, 0, 1)), '2026-W53');
+});
+
+test('a week string maps to its Monday', () => {
+    assert.equal(isoWeekToDate('2026-W01').toISOString().slice(0, 10), '2025-12-29');
+    assert.equal(isoWeekToDate('2026-W20').toISOString().slice(0, 10), '2026-05-11');
+    assert.equal(isoWeekToDate('May 2026'), null);
+});
+
+test('weeks shift across year boundaries, including 53-week years', () => {
+    assert.equal(shiftIsoWeek('2025-W52', 1), '2026-W01');
+    assert.equal(shiftIsoWeek('2026-W52', 1), '2026-W53');
+    assert.equal(shiftIsoWeek('2027-W01', -1), '2026-W53');
+    assert.equal(shiftIsoWeek('2026-W20', -12), '2026-W08');
+    assert.equal(shiftIsoWeek(null, 1), null);
+});
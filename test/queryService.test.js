@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CategoryService } from '../categoryService.js';
+import { I18nService } from '../i18nService.js';
+import { QueryService } from '../queryService.js';
+import { loadDataService } from './helpers/network.js';
+
+const files = {
+    '/data/data-country-name-en.json': { 'country-name': { IN: 'India', PH: 'Philippines' } },
+    '/data/data-ptime-en.json': {
+        study: { IN: '8 weeks', PH: '6 weeks', lastupdated: 'May 13, 2026' },
+        refugees_private: { IN: { sponsor: '28 months', refugee: '19 months' }, lastupdated: 'May 13, 2026' }
+    },
+    '/data/data-ptime-non-country-en.json': { 'default-update': { lastupdated: 'May 13, 2026' }, work: { work_permit: '100 days' } },
+    '/weekly/index.json': ['2026-W19-processing-times.json'],
+    '/weekly/2026-W19-processing-times.json': { study: { IN: '9 weeks', lastupdated: 'May 6, 2026' } }
+};
+
+async function createQuery() {
+    return new QueryService(await loadDataService(files), new CategoryService(new I18nService({ language: 'en' })));
+}
+
+test('current filters by country and matches sub-measures of a category', async () => {
+    const query = await createQuery();
+
+    assert.deepEqual(query.current({ country: 'IN', category: 'refugees_private' }).map(row => [row.category, row.raw]), [
+        ['refugees_private.sponsor', '28 months'],
+        ['refugees_private.refugee', '19 months']
+    ]);
+});
+
+test('current rejects an unknown country or category', async () => {
+    const query = await createQuery();
+
+    assert.throws(() => query.current({ country: 'XX' }), /Unknown country "XX"/);
+    assert.throws(() => query.current({ country: 'IN', category: 'nope' }), /Unknown category "nope"\. Categories: study, /);
+});
+
+test('history rejects an unknown country or category', async () => {
+    const query = await createQuery();
+
+    assert.equal(query.history({ country: 'IN', category: 'study' }).length, 1);
+    assert.throws(() => query.history({ country: 'XX' }), /Unknown country "XX"/);
+    assert.throws(() => query.history({ country: 'IN', category: 'nope' }), /Unknown category "nope"/);
+});
+
+test('history of a known country without weekly values is not an unknown country', async () => {
+    const query = await createQuery();
+
+    assert.throws(() => query.history({ country: 'PH' }), /No history for "PH"/);
+});
+
+test('rank lists the sub-measures of a parent category', async () => {
+    const query = await createQuery();
+
+    assert.equal(query.rank({ category: 'refugees_private.sponsor' })[0].raw, '28 months');
+    assert.throws(() => query.rank({ category: 'refugees_private' }), /"refugees_private" has sub-measures, rank one of: refugees_private\.sponsor, refugees_private\.refugee/);
+    assert.throws(() => query.rank({ category: 'nope' }), /Unknown category "nope"/);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SnapshotService } from '../snapshotService.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Copy fixtures/ to a temporary directory, so builds can write and remove snapshots
+ */
+function copyFixtures(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ircc-snapshot-'));
+    fs.cpSync(fixtures, dir, { recursive: true });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { dataDir: path.join(dir, 'data'), weeklyDir: path.join(dir, 'weekly') };
+}
+
+test('build saves each file under the ISO week of the date and rebuilds the index', t => {
+    const dirs = copyFixtures(t);
+    const result = new SnapshotService(dirs).build({ date: new Date(2026, 4, 20) });
+
+    assert.equal(result.isoWeek, '2026-W21');
+    assert.equal(result.skipped, false);
+    assert.deepEqual(result.written, [
+        '2026-W21-processing-times.json',
+        '2026-W21-in-canada-services.json',
+        '2026-W21-country-names.json'
+    ]);
+    assert.deepEqual(result.removed, []);
+
+    const index = JSON.parse(fs.readFileSync(path.join(dirs.weeklyDir, 'index.json'), 'utf8'));
+    assert.equal(index.version, 2);
+    assert.equal(index.retentionWeeks, 52);
+    assert.equal(index.files.length, 10);
+    assert.deepEqual(index.files[0], {
+        file: '2026-W21-processing-times.json',
+        isoWeek: '2026-W21',
+        type: 'processing-times',
+        legacy: false,
+        lastupdated: 'May 13, 2026',
+        hash: index.files[0].hash,
+        size: fs.statSync(path.join(dirs.weeklyDir, '2026-W21-processing-times.json')).size
+    });
+    assert.ok(index.files.some(entry => entry.file === '2025-W51.json' && entry.legacy && entry.type === 'processing-times'));
+});
+
+test('build numbers the last days of December as week 1 of the next ISO year', t => {
+    const result = new SnapshotService(copyFixtures(t)).build({ date: new Date(2025, 11, 31), dryRun: true });
+
+    assert.equal(result.isoWeek, '2026-W01');
+    assert.ok(result.written.includes('2026-W01-processing-times.json'));
+});
+
+test('build skips the week when nothing was published since the last snapshot', t => {
+    const dirs = copyFixtures(t);
+    new SnapshotService(dirs).build({ date: new Date(2026, 4, 20) });
+    const result = new SnapshotService(dirs).build({ date: new Date(2026, 4, 27) });
+
+    assert.equal(result.skipped, true);
+    assert.deepEqual(result.written, []);
+    assert.equal(fs.existsSync(path.join(dirs.weeklyDir, '2026-W22-processing-times.json')), false);
+});
+
+test('build keeps only the newest weeks of each type', t => {
+    const dirs = copyFixtures(t);
+    const result = new SnapshotService({ ...dirs, keepWeeks: 2 }).build({ date: new Date(2026, 4, 20) });
+
+    assert.deepEqual(result.removed.sort(), [
+        '2025-W51.json',
+        '2025-W52-country-names.json',
+        '2025-W52-in-canada-services.json',
+        '2025-W52-processing-times.json'
+    ]);
+    assert.deepEqual(fs.readdirSync(dirs.weeklyDir).filter(file => file.startsWith('2025-')), []);
+    assert.equal(result.index.files.length, 6);
+});
+
+test('a dry run reports the same files without touching the directory', t => {
+    const dirs = copyFixtures(t);
+    const before = fs.readdirSync(dirs.weeklyDir).sort();
+    const result = new SnapshotService({ ...dirs, keepWeeks: 2 }).build({ date: new Date(2026, 4, 20), dryRun: true });
+
+    assert.equal(result.written.length, 3);
+    assert.equal(result.removed.length, 4);
+    assert.equal(result.index, null);
+    assert.deepEqual(fs.readdirSync(dirs.weeklyDir).sort(), before);
+});
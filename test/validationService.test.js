@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationService } from '../validationService.js';
+
+const validator = new ValidationService();
+const categories = ValidationService.schemas()['processing-times'].categories;
+
+/**
+ * A processing-times file with every schema category and the given countries
+ */
+function createTimes(countries = { IN: '27 days', PH: '40 days' }) {
+    const data = {};
+    categories.forEach(category => {
+        data[category] = { ...countries, lastupdated: 'May 13, 2026' };
+    });
+    data.refugees_private = { IN: { sponsor: '28 months', refugee: '19 months' }, lastupdated: 'May 13, 2026' };
+    return data;
+}
+
+test('file names map to their schema', () => {
+    assert.equal(validator.detectType('weekly/2025-W36.json'), 'processing-times');
+    assert.equal(validator.detectType('2026-W20-in-canada-services.json'), 'in-canada-services');
+    assert.equal(validator.detectType('data/data-country-name-fr.json'), 'country-names');
+    assert.equal(validator.detectType('index.json'), null);
+});
+
+test('a complete file is valid', () => {
+    const report = validator.validate('processing-times', createTimes(), { file: '2026-W20-processing-times.json' });
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(report.warnings, []);
+    assert.deepEqual(report.stats, { categories: categories.length, items: 15 });
+});
+
+test('missing keys are errors or warnings depending on what is missing', () => {
+    const data = createTimes();
+    categories.forEach(category => delete data[category].lastupdated);
+    delete data.study;
+    const services = validator.validate('in-canada-services', { work_permit: { work_permit: '100 days' } });
+
+    const report = validator.validate('processing-times', data);
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.errors, [{ path: '', message: 'No lastupdated value found' }]);
+    assert.deepEqual(report.warnings, [{ path: 'study', message: 'Category from the schema is missing' }]);
+    assert.deepEqual(services.errors[0], { path: 'default-update', message: 'Missing metadata object' });
+});
+
+test('unparsed values are listed without making the file invalid', () => {
+    const data = createTimes();
+    data.study.IN = 'soon';
+    data.refugees_private.IN.sponsor = 'varies';
+
+    const report = validator.validate('processing-times', data);
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.unparsed, [
+        { path: 'study.IN', value: 'soon' },
+        { path: 'refugees_private.IN.sponsor', value: 'varies' }
+    ]);
+});
+
+test('unexpected shapes and keys are reported', () => {
+    const data = createTimes();
+    data.work.IN = { standard: '10 weeks' };
+    data.study.india = '8 weeks';
+    data.refugees_private.IN.other = '2 months';
+
+    const report = validator.validate('processing-times', data);
+    assert.deepEqual(report.errors, [{ path: 'work.IN', message: 'Unexpected nested object' }]);
+    assert.deepEqual(report.warnings, [
+        { path: 'study.india', message: 'Unexpected country key' },
+        { path: 'refugees_private.IN.other', message: 'Sub-measure is not in the schema' }
+    ]);
+});
+
+test('drift and sharp changes in the entry count are flagged against the previous file', () => {
+    const previous = createTimes({ IN: '27 days', PH: '40 days', MX: '20 days', BR: '18 days', CL: '15 days' });
+    const current = createTimes({ IN: '27 days', PH: '40 days', AR: '16 days' });
+
+    const report = validator.validate('processing-times', current, { previous });
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.drift.addedItems.filter(item => item.category === 'study'), [{ category: 'study', key: 'AR' }]);
+    assert.equal(report.drift.removedItems.filter(item => item.category === 'study').length, 3);
+    assert.deepEqual(report.warnings, [{ path: '', message: 'Entry count changed from 36 to 22 since the previous file' }]);
+});
+
+test('country names must be non-empty strings', () => {
+    const report = validator.validate('country-names', { 'country-name': { IN: 'India', XX: ' ' } });
+
+    assert.deepEqual(report.errors, [{ path: 'country-name.XX', message: 'Country name is not a non-empty string' }]);
+    assert.equal(validator.validate('country-names', { names: {} }).errors[0].message, 'Missing country name map');
+});
+
+test('the summary keeps problem reports and the newest report of each type', () => {
+    const broken = validator.validate('processing-times', {}, { file: '2026-W18-processing-times.json' });
+    const clean = validator.validate('processing-times', createTimes(), { file: '2026-W19-processing-times.json' });
+    const newest = validator.validate('processing-times', createTimes(), { file: '2026-W20-processing-times.json' });
+
+    const summary = validator.summarize([broken, clean, newest]);
+    assert.equal(summary.checked, 3);
+    assert.deepEqual(summary.invalid, ['2026-W18-processing-times.json']);
+    assert.deepEqual(summary.reports.map(report => report.file), ['2026-W18-processing-times.json', '2026-W20-processing-times.json']);
+});
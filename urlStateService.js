@@ -0,0 +1,91 @@
+/**
+ * UrlStateService - Keeps view state in the URL hash so views can be linked and navigated
+ * e.g. #tab=historical&country=IN&category=study&range=6m
+ */
+export class UrlStateService {
+    constructor() {
+        // State key -> URL parameter name; list values are comma separated
+        this.params = {
+            tab: 'tab',
+            country: 'country',
+            category: 'category',
+            range: 'range',
+            compare: 'compare',
+            compareCategory: 'compare-category',
+            rankingCategory: 'ranking',
+            mapCategory: 'map',
+            changesFrom: 'from',
+            changesTo: 'to'
+        };
+        this.listKeys = ['compare'];
+    }
+
+    /**
+     * Read the state from the hash, falling back to the query string
+     */
+    read() {
+        const query = new URLSearchParams(window.location.search);
+        const hash = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        const state = {};
+
+        Object.entries(this.params).forEach(([key, param]) => {
+            const value = hash.has(param) ? hash.get(param) : query.get(param);
+            if (value === null || value === '') return;
+
+            state[key] = this.listKeys.includes(key) ? value.split(',').filter(Boolean) : value;
+        });
+
+        return state;
+    }
+
+    /**
+     * Write the state to the hash
+     *
+     * Adds a history entry unless replace is set, and does nothing when the URL
+     * would not change, so re-rendering a view never stacks duplicate entries.
+     */
+    write(state, { replace = false } = {}) {
+        const url = this.toUrl(state);
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (url === current) return;
+
+        try {
+            if (replace) {
+                window.history.replaceState(null, '', url);
+            } else {
+                window.history.pushState(null, '', url);
+            }
+        } catch (error) {
+            // Some browsers refuse history updates for pages opened from disk
+            console.warn('Could not update the URL:', error);
+        }
+    }
+
+    /**
+     * Build the URL for a state, keeping the path and dropping empty values
+     */
+    toUrl(state) {
+        const hash = new URLSearchParams();
+
+        Object.entries(this.params).forEach(([key, param]) => {
+            const value = state[key];
+            if (value === null || value === undefined || value === '') return;
+            if (Array.isArray(value)) {
+                if (value.length > 0) hash.set(param, value.join(','));
+                return;
+            }
+            hash.set(param, value);
+        });
+
+        // Comma-separated lists stay readable in shared links
+        const fragment = hash.toString().replace(/%2C/g, ',');
+        return window.location.pathname + window.location.search + (fragment ? `#${fragment}` : '');
+    }
+
+    /**
+     * Call back with the new state when the user navigates back or forward
+     */
+    onChange(callback) {
+        window.addEventListener('popstate', () => callback(this.read()));
+    }
+}
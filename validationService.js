@@ -0,0 +1,341 @@
+import { DurationService } from './durationService.js';
+
+/**
+ * ValidationService - Checks IRCC data files against a versioned schema and reports drift
+ * Runs in the browser and in Node; scripts/validate.js checks the weekly snapshots from the command line
+ */
+
+export class ValidationService {
+    constructor(durationService = new DurationService()) {
+        this.durationService = durationService;
+        this.schemas = ValidationService.schemas();
+        // Share of entries that may appear or disappear between snapshots before it is flagged
+        this.maxItemChange = 0.2;
+    }
+
+    /**
+     * Work out which schema applies to a data or weekly file name
+     *
+     * Legacy weekly files without a suffix (e.g. 2025-W36.json) are processing times.
+     */
+    detectType(filename) {
+        const name = String(filename).split(/[\\/]/).pop();
+
+        if (/-(processing-times)\.json$/.test(name) || /^\d{4}-W\d{2}\.json$/.test(name) || /^data-ptime-(en|fr)\.json$/.test(name)) {
+            return 'processing-times';
+        }
+        if (/-in-canada-services\.json$/.test(name) || /^data-ptime-non-country-(en|fr)\.json$/.test(name)) {
+            return 'in-canada-services';
+        }
+        if (/-country-names\.json$/.test(name) || /^data-country-name-(en|fr)\.json$/.test(name)) {
+            return 'country-names';
+        }
+        return null;
+    }
+
+    /**
+     * Validate one parsed file
+     *
+     * previous is the parsed file of the same type from the week before and is used
+     * for drift. Returns a plain report object that serializes to JSON:
+     * { file, type, schemaVersion, valid, errors, warnings, unparsed, drift, stats }.
+     * errors make the file invalid; warnings, unparsed values and drift do not.
+     */
+    validate(type, data, { file = null, previous = null } = {}) {
+        const schema = this.schemas[type];
+        const report = {
+            file,
+            type,
+            schemaVersion: schema ? schema.version : null,
+            valid: true,
+            errors: [],
+            warnings: [],
+            unparsed: [],
+            drift: null,
+            stats: { categories: 0, items: 0 }
+        };
+
+        if (!schema) {
+            this.addError(report, '', `Unknown file type "${type}"`);
+            return report;
+        }
+        if (!this.isObject(data)) {
+            this.addError(report, '', 'File is not a JSON object');
+            return report;
+        }
+
+        if (type === 'country-names') {
+            this.validateCountryNames(schema, data, report);
+        } else {
+            this.validateCategories(schema, data, report);
+        }
+
+        if (previous && this.isObject(previous)) {
+            report.drift = this.compare(schema, previous, data);
+            this.checkItemChange(schema, previous, report);
+        }
+
+        return report;
+    }
+
+    /**
+     * Summarize the reports of a run, oldest file first
+     *
+     * Keeps the reports with errors, warnings or unparsed values, and the newest
+     * report of each type, which carries the drift since the week before. Returns
+     * { checked, invalid, reports }.
+     */
+    summarize(reports) {
+        const newest = new Set(Object.values(
+            Object.fromEntries(reports.map(report => [report.type, report]))
+        ));
+
+        return {
+            checked: reports.length,
+            invalid: reports.filter(report => !report.valid).map(report => report.file),
+            reports: reports.filter(report =>
+                newest.has(report)
+                || report.errors.length > 0
+                || report.warnings.length > 0
+                || report.unparsed.length > 0
+            )
+        };
+    }
+
+    /**
+     * Validate a category -> item -> value file (processing times or in-Canada services)
+     */
+    validateCategories(schema, data, report) {
+        Object.entries(schema.rootMetadata || {}).forEach(([key, fields]) => {
+            if (!this.isObject(data[key])) {
+                this.addError(report, key, 'Missing metadata object');
+                return;
+            }
+            fields.filter(field => typeof data[key][field] !== 'string').forEach(field => {
+                this.addError(report, `${key}.${field}`, 'Missing metadata field');
+            });
+        });
+
+        const categories = this.getCategories(schema, data);
+        if (categories.length === 0) {
+            this.addError(report, '', 'No categories found');
+            return;
+        }
+
+        let lastUpdatedFound = !schema.metadataKeys || schema.metadataKeys.length === 0;
+        categories.forEach(category => {
+            const items = data[category];
+            report.stats.categories++;
+
+            if (!this.isObject(items)) {
+                this.addError(report, category, 'Category is not an object');
+                return;
+            }
+            if (!schema.categories.includes(category)) {
+                this.addWarning(report, category, 'Category is not in the schema');
+            }
+
+            const keys = Object.keys(items).filter(key => !(schema.metadataKeys || []).includes(key));
+            if (keys.length < Object.keys(items).length) {
+                lastUpdatedFound = true;
+            }
+            if (keys.length === 0 && !(schema.allowEmpty || []).includes(category)) {
+                this.addWarning(report, category, 'Category is empty');
+            }
+
+            keys.forEach(key => {
+                report.stats.items++;
+                if (schema.itemPattern && !new RegExp(schema.itemPattern).test(key)) {
+                    this.addWarning(report, `${category}.${key}`, `Unexpected ${schema.itemName} key`);
+                }
+                this.validateValue(schema, category, `${category}.${key}`, items[key], report);
+            });
+        });
+
+        schema.categories
+            .filter(category => !categories.includes(category) && !(schema.optional || []).includes(category))
+            .forEach(category => this.addWarning(report, category, 'Category from the schema is missing'));
+
+        if (!lastUpdatedFound) {
+            this.addError(report, '', 'No lastupdated value found');
+        }
+    }
+
+    /**
+     * Validate one value: a duration string, or an object of sub-measures where the schema allows it
+     */
+    validateValue(schema, category, path, value, report) {
+        if (typeof value === 'string') {
+            if (this.durationService.parse(value).status === 'unparsed') {
+                report.unparsed.push({ path, value });
+            }
+            return;
+        }
+
+        const subMeasures = (schema.subMeasures || {})[category];
+        if (this.isObject(value) && subMeasures) {
+            Object.entries(value).forEach(([subMeasure, subValue]) => {
+                if (!subMeasures.includes(subMeasure)) {
+                    this.addWarning(report, `${path}.${subMeasure}`, 'Sub-measure is not in the schema');
+                }
+                if (typeof subValue !== 'string') {
+                    this.addError(report, `${path}.${subMeasure}`, 'Value is not a string');
+                } else if (this.durationService.parse(subValue).status === 'unparsed') {
+                    report.unparsed.push({ path: `${path}.${subMeasure}`, value: subValue });
+                }
+            });
+            return;
+        }
+
+        this.addError(report, path, this.isObject(value) ? 'Unexpected nested object' : 'Value is not a string');
+    }
+
+    /**
+     * Validate the country names file ({ "country-name": { code: name } })
+     */
+    validateCountryNames(schema, data, report) {
+        const names = data[schema.root];
+        if (!this.isObject(names)) {
+            this.addError(report, schema.root, 'Missing country name map');
+            return;
+        }
+
+        report.stats.categories = 1;
+        Object.entries(names).forEach(([code, name]) => {
+            report.stats.items++;
+            if (!new RegExp(schema.itemPattern).test(code)) {
+                this.addWarning(report, `${schema.root}.${code}`, 'Unexpected country key');
+            }
+            if (typeof name !== 'string' || name.trim() === '') {
+                this.addError(report, `${schema.root}.${code}`, 'Country name is not a non-empty string');
+            }
+        });
+
+        if (report.stats.items === 0) {
+            this.addError(report, schema.root, 'No countries found');
+        }
+    }
+
+    /**
+     * List the categories added and removed since the previous file, and the items within them
+     */
+    compare(schema, previous, current) {
+        const drift = { addedCategories: [], removedCategories: [], addedItems: [], removedItems: [] };
+        const before = this.getItemMap(schema, previous);
+        const after = this.getItemMap(schema, current);
+
+        drift.addedCategories = Object.keys(after).filter(category => !before[category]);
+        drift.removedCategories = Object.keys(before).filter(category => !after[category]);
+
+        Object.keys(after)
+            .filter(category => before[category])
+            .forEach(category => {
+                after[category]
+                    .filter(key => !before[category].includes(key))
+                    .forEach(key => drift.addedItems.push({ category, key }));
+                before[category]
+                    .filter(key => !after[category].includes(key))
+                    .forEach(key => drift.removedItems.push({ category, key }));
+            });
+
+        return drift;
+    }
+
+    /**
+     * Warn when the number of entries jumps or shrinks sharply since the previous file
+     */
+    checkItemChange(schema, previous, report) {
+        const before = Object.values(this.getItemMap(schema, previous)).reduce((sum, keys) => sum + keys.length, 0);
+        const after = report.stats.items;
+        if (before === 0) return;
+
+        const change = (after - before) / before;
+        if (Math.abs(change) > this.maxItemChange) {
+            this.addWarning(report, '', `Entry count changed from ${before} to ${after} since the previous file`);
+        }
+    }
+
+    /**
+     * Map each category to its item keys, leaving out metadata
+     */
+    getItemMap(schema, data) {
+        if (schema.root) {
+            return { [schema.root]: Object.keys(data[schema.root] || {}) };
+        }
+
+        const map = {};
+        this.getCategories(schema, data).forEach(category => {
+            map[category] = Object.keys(this.isObject(data[category]) ? data[category] : {})
+                .filter(key => !(schema.metadataKeys || []).includes(key));
+        });
+        return map;
+    }
+
+    /**
+     * Category keys of a file, without the root metadata objects
+     */
+    getCategories(schema, data) {
+        return Object.keys(data).filter(key => !Object.keys(schema.rootMetadata || {}).includes(key));
+    }
+
+    addError(report, path, message) {
+        report.errors.push({ path, message });
+        report.valid = false;
+    }
+
+    addWarning(report, path, message) {
+        report.warnings.push({ path, message });
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Schemas for each file type
+     *
+     * Bump version when the expected shape changes. Known quirks are part of the
+     * schema: processing times keep a lastupdated key inside every country map and
+     * the in-Canada empp category is sometimes empty. Categories listed in optional
+     * may be missing without a warning.
+     */
+    static schemas() {
+        return {
+            'processing-times': {
+                version: 1,
+                itemName: 'country',
+                itemPattern: '^[A-Z]{2}$',
+                metadataKeys: ['lastupdated'],
+                categories: [
+                    'visitor-outside-canada', 'supervisa', 'study', 'work',
+                    'child_dependent', 'child_adopted', 'refugees_gov', 'refugees_private'
+                ],
+                subMeasures: { refugees_private: ['sponsor', 'refugee'] },
+                allowEmpty: []
+            },
+            'in-canada-services': {
+                version: 1,
+                itemName: 'service',
+                rootMetadata: { 'default-update': ['lastupdated'] },
+                categories: [
+                    'visitor_inside_canada', 'visitor_extension', 'study_extension', 'work_extension',
+                    'iec', 'eta', 'quebec_business', 'self_employed_federal', 'fed_skilled_trades',
+                    'startup_back', 'refugees_protected', 'humanitarian_compassionate', 'citizenship',
+                    'pr_card', 'rep_documents', 'sawp', 'dependents_protected_persons',
+                    'caregivers', 'atlantic-immigration-program', 'empp', 'cec_flpt', 'pnp_ee_flpt', 'pnp_flpt',
+                    'fsw_ee_flpt', 'skilled_workers_qc_flpt', 'cit_grant_flpt', 'cit_proof_flpt',
+                    'spousal_canada_qc_flpt', 'spousal_canada_roc_flpt', 'spousal_outside_qc_flpt',
+                    'spousal_outside_roc_flpt', 'pgp_qc_flpt', 'pgp_roc_flpt'
+                ],
+                // caregivers appears in the weekly snapshots but not always in the daily file
+                optional: ['caregivers'],
+                allowEmpty: ['empp']
+            },
+            'country-names': {
+                version: 1,
+                root: 'country-name',
+                itemPattern: '^[A-Z]{2}$'
+            }
+        };
+    }
+}